@@ -0,0 +1,66 @@
+// Web MIDI Adapter
+// MIDI keyboards, guitars and pedal boards through the browser's Web MIDI API. Notes go out as
+// pitchDetected, controllers as midiControl and program changes as midiProgram.
+export class MidiInput {
+    constructor(eventBus) {
+        this.eventBus = eventBus;
+        this.access = null;
+        this.enabled = false;
+    }
+
+    async start() {
+        if (!navigator.requestMIDIAccess) {
+            console.error('Web MIDI is not supported in this browser');
+            return false;
+        }
+        try {
+            this.access = await navigator.requestMIDIAccess();
+            this.connectInputs();
+            // Devices plugged in later are picked up too
+            this.access.onstatechange = () => this.connectInputs();
+            this.enabled = true;
+            console.log('MIDI input enabled');
+            return true;
+        } catch (error) {
+            console.error('MIDI access failed:', error);
+            return false;
+        }
+    }
+
+    stop() {
+        if (this.access) {
+            this.access.inputs.forEach(input => {
+                input.onmidimessage = null;
+            });
+            this.access.onstatechange = null;
+        }
+        this.enabled = false;
+        console.log('MIDI input disabled');
+    }
+
+    connectInputs() {
+        this.access.inputs.forEach(input => {
+            input.onmidimessage = (message) => this.handleMessage(message);
+        });
+    }
+
+    handleMessage(message) {
+        const [status, data1, data2] = message.data;
+        switch (status & 0xf0) {
+            case 0x90:
+                // Note on with zero velocity is a note off
+                if (data2 > 0) {
+                    this.eventBus.emit('pitchDetected', { midi: data1, velocity: data2, source: 'midi' });
+                }
+                break;
+            case 0xb0:
+                // Pedals and controller buttons
+                this.eventBus.emit('midiControl', { controller: data1, value: data2 });
+                break;
+            case 0xc0:
+                // Foot switch boards often send program changes instead
+                this.eventBus.emit('midiProgram', { program: data1 });
+                break;
+        }
+    }
+}
@@ -0,0 +1,1141 @@
+import {
+    KEY_SIGNATURE_PITCHES, parsePitch, pitchToMidi, midiToPitch, spellPitch, getKeyFifths, getKeySignature,
+    getStaffStep, getStaffPitch, spellInKey, guitar, findLocations, getMeasureBeats, normalizePattern, DYNAMICS,
+    HAIRPINS, ARTICULATIONS, TECHNIQUES, Note, createNotes, Player, QUIZ_TYPES
+} from '../core/index.js';
+
+// p5 Adapter
+// Everything drawn on the canvas and the clicks on it, in p5's global mode: the staff, tab and fretboard,
+// the quiz and the pattern editor, all laid out by the shared layout.
+
+// Layout
+// Drawing code works in design units: an 800-unit-wide page with the staff lines at y 130-170, the tab
+// from y 230 and the fretboard from y 310. Layout cuts the page into bands, scales each onto the canvas
+// and stacks them, and maps pointer positions back into design units.
+export const DESIGN_WIDTH = 800;
+const LAYOUT_BANDS = {
+    heading: { top: 0, bottom: 40 },
+    staff: { top: 40, bottom: 215 },
+    tab: { top: 215, bottom: 295 },
+    fretboard: { top: 295, bottom: 450 },
+    footer: { top: 450, bottom: 490 }
+};
+// Bands that scroll sideways, so they can be drawn larger than the page fits.
+// Duet parts shown on staves of their own ('part0', 'part1', ...) are laid out like the student's staff.
+const MUSIC_BANDS = ['staff', 'tab'];
+const ZOOM_LEVELS = [0.75, 1, 1.25, 1.5, 2];
+
+export class Layout {
+    constructor(storageKey = 'classicalGuitar.zoom') {
+        this.storageKey = storageKey;
+        this.zoom = this.loadZoom();
+        this.standMode = false;  // Full screen on a music stand: only the music, as large as it fits
+        this.bands = [];         // { name, top, bottom, y, scale }: design extent and place on the canvas
+        this.width = DESIGN_WIDTH;  // Design-unit width of the band being drawn
+    }
+
+    loadZoom() {
+        try {
+            const zoom = parseFloat(localStorage.getItem(this.storageKey));
+            return ZOOM_LEVELS.includes(zoom) ? zoom : 1;
+        } catch (error) {
+            console.error('Could not read the zoom level:', error);
+            return 1;
+        }
+    }
+
+    setZoom(zoom) {
+        this.zoom = zoom;
+        try {
+            localStorage.setItem(this.storageKey, String(zoom));
+        } catch (error) {
+            console.error('Could not save the zoom level:', error);
+        }
+    }
+
+    // Names of the bands on show, top to bottom. The quiz and editor use the tab's space for feedback.
+    getBandNames(appMode, viewMode, partStaves = 0) {
+        const names = [];
+        if (!this.standMode) names.push('heading');
+        if (appMode === 'scroll' && viewMode !== 'tab') {
+            for (let i = 0; i < partStaves; i++) names.push(`part${i}`);
+        }
+        if (appMode !== 'scroll' || viewMode !== 'tab') names.push('staff');
+        if (appMode === 'scroll' && viewMode !== 'staff') names.push('tab');
+        if (!this.standMode) names.push('fretboard', 'footer');
+        return names;
+    }
+
+    // Place the bands across a canvas of the given width and return the height they need.
+    // Landscape fits the page to the width; portrait shows two thirds of it, larger; on the music
+    // stand the music fills viewHeight as far as that leaves a few beats to read ahead. Zoom enlarges
+    // the music and the fretboard, whose neck narrows to keep every fret on screen.
+    arrange(canvasWidth, { viewHeight, portrait, appMode, viewMode, partStaves = 0 }) {
+        const names = this.getBandNames(appMode, viewMode, partStaves);
+        const extentOf = (name) => LAYOUT_BANDS[name] || LAYOUT_BANDS.staff;
+        const fit = canvasWidth / DESIGN_WIDTH;
+        const largest = fit * 1.5;
+        let musicScale = portrait ? largest : fit;
+        if (this.standMode) {
+            const musicHeight = names.reduce((sum, name) => sum + extentOf(name).bottom - extentOf(name).top, 0);
+            musicScale = Math.min(viewHeight / musicHeight, largest);
+        }
+        musicScale *= this.zoom;
+        // Text bands keep up with the music, but no larger than actual size unless the page is
+        const textScale = Math.max(fit, Math.min(musicScale, 1));
+
+        let y = 0;
+        this.bands = names.map(name => {
+            const music = MUSIC_BANDS.includes(name) || !LAYOUT_BANDS[name];
+            const scale = music ? musicScale : name === 'fretboard' ? fit * this.zoom : textScale;
+            const band = { name, ...extentOf(name), y, scale };
+            y += (band.bottom - band.top) * scale;
+            return band;
+        });
+        return this.standMode ? Math.max(y, viewHeight) : y;
+    }
+
+    // Run drawBand in the band's design units; nothing is drawn for a band not on show
+    draw(name, drawBand) {
+        const band = this.bands.find(b => b.name === name);
+        if (!band) return;
+        push();
+        translate(0, band.y);
+        scale(band.scale);
+        translate(0, -band.top);
+        this.width = width / band.scale;
+        drawBand();
+        pop();
+        this.width = DESIGN_WIDTH;
+    }
+
+    // A canvas point in the band's design units, or null when it falls outside the band
+    toBand(name, x, y) {
+        const band = this.bands.find(b => b.name === name);
+        if (!band || x < 0 || x > width) return null;
+        const local = { x: x / band.scale, y: band.top + (y - band.y) / band.scale };
+        return local.y >= band.top && local.y <= band.bottom ? local : null;
+    }
+}
+
+// The page has one canvas, so one layout shared by everything drawn on it
+export const layout = new Layout();
+
+// Staff Notes
+// Notes drawn on the treble staff. Drawing works in design units: x follows the note's beat past the
+// play line, and y comes from its staff step.
+const ACCIDENTAL_GLYPHS = { '-2': '\u{1D12B}', '-1': '\u266D', '0': '\u266E', '1': '\u266F', '2': '\u{1D12A}' };
+export const PIXELS_PER_BEAT = 80;  // Horizontal space one quarter note takes on the staff
+const RESULT_COLORS = {
+    correct: [100, 255, 100],
+    late: [255, 170, 60],
+    wrong: [255, 80, 80],
+    missed: [140, 140, 160]
+};
+
+export class StaffNote extends Note {
+    constructor(pitch, fret, string, duration = '4n') {
+        super(pitch, fret, string, duration);
+        this.x = 0;
+    }
+
+    // Colour reflecting grading or playback state, or null while untouched
+    getStateColor() {
+        if (this.result) return color(...RESULT_COLORS[this.result]);
+        if (this.active) return color(255, 255, 100);
+        if (this.played) return color(100, 255, 100);
+        return null;
+    }
+
+    draw() {
+        push();
+        if (this.pitch === 'rest') {
+            this.drawRest();
+            this.drawDynamics();
+            pop();
+            return;
+        }
+
+        const staffBottomY = 170; // Y position of bottom staff line
+        let noteY = this.getNoteY();
+        const value = this.getNoteValue();
+
+        stroke(this.active ? color(255, 255, 100) : 100);
+        strokeWeight(1);
+
+        // Ledger lines fall on every even step outside the staff
+        const step = getStaffStep(this.pitch);
+        for (let ledger = -2; ledger >= step; ledger -= 2) {
+            let lineY = staffBottomY - ledger * 5;
+            // Draw ledger line extending slightly beyond the note
+            line(this.x - 15, lineY, this.x + 15, lineY);
+        }
+        for (let ledger = 10; ledger <= step; ledger += 2) {
+            let lineY = staffBottomY - ledger * 5;
+            line(this.x - 15, lineY, this.x + 15, lineY);
+        }
+
+        // Draw the accidental to the left of the head
+        if (this.accidental !== null) {
+            noStroke();
+            fill(this.active ? color(255, 255, 100) : 255);
+            textAlign(CENTER, CENTER);
+            textSize(18);
+            text(ACCIDENTAL_GLYPHS[this.accidental], this.x - 20, noteY - 2);
+        }
+
+        // Draw note; whole and half notes have hollow heads
+        const hollow = value <= 2;
+        if (this.result) {
+            const [r, g, b] = RESULT_COLORS[this.result];
+            fill(hollow ? color(26, 26, 46) : color(r, g, b, 150));
+            stroke(r, g, b);
+        } else if (this.active) {
+            fill(hollow ? color(26, 26, 46) : color(255, 200, 100));
+            stroke(255, 255, 100);
+        } else if (this.played) {
+            fill(hollow ? color(26, 26, 46) : color(100, 255, 100, 150));
+            stroke(100, 255, 100);
+        } else {
+            fill(hollow ? color(26, 26, 46) : 255);
+            stroke(hollow ? 255 : 0);
+        }
+
+        strokeWeight(2);
+        if (this.expression.technique === 'harmonic') {
+            // Harmonics take diamond heads
+            quad(this.x - 10, noteY, this.x, noteY - 8, this.x + 10, noteY, this.x, noteY + 8);
+        } else {
+            ellipse(this.x, noteY, 20, 15);
+        }
+
+        // Augmentation dot sits in the space, so nudge it up off a line
+        if (this.isDotted()) {
+            noStroke();
+            fill(255);
+            const onLine = Math.round((staffBottomY - noteY) / 5) % 2 === 0;
+            ellipse(this.x + 16, onLine ? noteY - 5 : noteY, 4, 4);
+        }
+
+        // Draw stem and flags (whole notes have neither); flags always point right.
+        // A chord has one stem, drawn by its first note through all the heads.
+        const stemDown = this.isStemDown();
+        stroke(this.active ? color(255, 255, 100) : 255);
+        strokeWeight(2);
+        if (value > 1 && (!this.chordNotes || this.chordNotes[0] === this)) {
+            const headYs = (this.chordNotes || [this]).map(note => note.getNoteY());
+            const stemX = stemDown ? this.x - 8 : this.x + 8;
+            const stemStart = stemDown ? Math.min(...headYs) : Math.max(...headYs);
+            const stemEnd = stemDown ? Math.max(...headYs) + 40 : Math.min(...headYs) - 40;
+            const direction = stemDown ? -1 : 1;
+            line(stemX, stemStart, stemX, stemEnd);
+
+            const flags = value >= 16 ? 2 : value >= 8 ? 1 : 0;
+            for (let i = 0; i < flags; i++) {
+                const flagY = stemEnd + direction * i * 8;
+                line(stemX, flagY, stemX + 8, flagY + direction * 12);
+            }
+        }
+
+        // Draw a tie arc to the next note, on the side away from the stem
+        if (this.tiedTo) {
+            noFill();
+            stroke(255);
+            strokeWeight(1.5);
+            const midX = (this.x + this.tiedTo.x) / 2;
+            if (stemDown) {
+                arc(midX, noteY - 8, this.tiedTo.x - this.x - 12, 12, PI, TWO_PI);
+            } else {
+                arc(midX, noteY + 8, this.tiedTo.x - this.x - 12, 12, 0, PI);
+            }
+        }
+
+        this.drawArticulations(noteY, stemDown);
+        this.drawDynamics();
+
+        // Draw note name above the note (tied continuations are not re-announced);
+        // names in a chord go beside their heads, and the lower voice's go below
+        if (!this.tiedFrom && this.showName) {
+            noStroke();
+            fill(255);
+            textSize(12);
+            if (this.chordNotes) {
+                textAlign(LEFT, CENTER);
+                text(this.pitch, this.x + 22, noteY);
+            } else {
+                textAlign(CENTER);
+                const labelY = this.stemDirection === 'down' ? noteY + 55 : stemDown ? noteY - 15 : noteY - 45;
+                text(this.pitch, this.x, labelY);
+            }
+        }
+        pop();
+    }
+
+    // Slur and articulation marks on the head's side, away from the stem, and the technique above the staff
+    drawArticulations(noteY, stemDown) {
+        const side = stemDown ? -1 : 1;
+        noFill();
+        stroke(255);
+        strokeWeight(1.5);
+        if (this.slurTo) {
+            const endY = this.slurTo.getNoteY();
+            const startX = this.x + 6;
+            const endX = this.slurTo.x - 6;
+            const third = (endX - startX) / 3;
+            bezier(startX, noteY + side * 10, startX + third, noteY + side * 24,
+                endX - third, endY + side * 24, endX, endY + side * 10);
+        }
+
+        // A chord shows its marks once, beyond the outermost head
+        if (!this.chordNotes || this.chordNotes[0] === this) {
+            const chord = this.chordNotes || [this];
+            const articulations = [...new Set(chord.flatMap(note => note.articulations))];
+            const headYs = chord.map(note => note.getNoteY());
+            let markY = (stemDown ? Math.min(...headYs) : Math.max(...headYs)) + side * 14;
+            articulations.forEach(name => {
+                if (name === 'staccato') {
+                    noStroke();
+                    fill(255);
+                    ellipse(this.x, markY, 4, 4);
+                } else {
+                    noFill();
+                    stroke(255);
+                    line(this.x - 6, markY - 3, this.x + 6, markY);
+                    line(this.x + 6, markY, this.x - 6, markY + 3);
+                }
+                markY += side * 10;
+            });
+        }
+
+        if (this.showTechnique) {
+            noStroke();
+            fill(200);
+            textStyle(ITALIC);
+            textAlign(CENTER, CENTER);
+            textSize(12);
+            text(TECHNIQUES[this.expression.technique].label, this.x, Math.min(112, noteY - 58));
+            textStyle(NORMAL);
+        }
+    }
+
+    // Dynamic markings and hairpins below the staff
+    drawDynamics() {
+        const dynamicsY = 200;
+        if (this.dynamic) {
+            noStroke();
+            fill(255);
+            textStyle(BOLDITALIC);
+            textAlign(CENTER, CENTER);
+            textSize(14);
+            text(this.dynamic, this.x, dynamicsY);
+            textStyle(NORMAL);
+        }
+        if (this.hairpin) {
+            const startX = this.x + (this.dynamic ? 14 : 0);
+            const endX = Math.max(startX + 10, this.x + (this.hairpinEndBeat - this.beat) * PIXELS_PER_BEAT - 14);
+            // The wedge opens toward the louder end
+            const [closedX, openX] = this.hairpin === 'cresc' ? [startX, endX] : [endX, startX];
+            stroke(255);
+            strokeWeight(1);
+            line(closedX, dynamicsY, openX, dynamicsY - 5);
+            line(closedX, dynamicsY, openX, dynamicsY + 5);
+        }
+    }
+
+    drawRest() {
+        // Y position of the top staff line; with two voices each voice's rests move toward its stems
+        const voiceOffset = this.stemDirection === 'up' ? -10 : this.stemDirection === 'down' ? 10 : 0;
+        const staffY = 130 + voiceOffset;
+        const value = this.getNoteValue();
+        const restColor = this.active ? color(255, 255, 100)
+            : this.played ? color(100, 255, 100) : color(255);
+
+        fill(restColor);
+        stroke(restColor);
+        strokeWeight(2);
+
+        if (value === 1) {
+            // Whole rest hangs from the fourth line
+            noStroke();
+            rect(this.x - 7, staffY + 10, 14, 5);
+        } else if (value === 2) {
+            // Half rest sits on the middle line
+            noStroke();
+            rect(this.x - 7, staffY + 15, 14, 5);
+        } else if (value === 4) {
+            // Quarter rest zigzag
+            noFill();
+            beginShape();
+            vertex(this.x - 3, staffY + 5);
+            vertex(this.x + 4, staffY + 14);
+            vertex(this.x - 2, staffY + 21);
+            vertex(this.x + 4, staffY + 29);
+            vertex(this.x - 3, staffY + 27);
+            vertex(this.x + 1, staffY + 35);
+            endShape();
+        } else {
+            // Eighth and sixteenth rests: a slanted stroke with one hook per flag
+            const hooks = value >= 16 ? 2 : 1;
+            line(this.x + 4, staffY + 13, this.x - 2, staffY + 30 + (hooks - 1) * 10);
+            noStroke();
+            for (let i = 0; i < hooks; i++) {
+                ellipse(this.x - 3 + i * -2, staffY + 14 + i * 10, 5, 5);
+            }
+        }
+
+        if (this.isDotted()) {
+            noStroke();
+            fill(restColor);
+            ellipse(this.x + 12, staffY + 15, 4, 4);
+        }
+    }
+
+    getNoteY() {
+        const staffBottomY = 170;  // Y position of the bottom staff line (E4)
+        const stepHeight = 5;      // Half the space between staff lines
+        const step = getStaffStep(this.pitch);
+        if (step === null) {
+            return staffBottomY - 4 * stepHeight;  // Middle line
+        }
+        return staffBottomY - step * stepHeight;
+    }
+
+    // Notes on or above the middle line take stems down, as in engraved scores.
+    // A chord follows the note furthest from the middle line; a voice fixes the direction.
+    isStemDown() {
+        if (this.stemDirection) return this.stemDirection === 'down';
+        const notes = this.chordNotes || [this];
+        const furthest = notes.reduce((best, note) =>
+            Math.abs(getStaffStep(note.pitch) - 4) > Math.abs(getStaffStep(best.pitch) - 4) ? note : best);
+        return getStaffStep(furthest.pitch) >= 4;
+    }
+}
+
+// Staff Player
+// Draws the player's notes scrolling right to left past the play line at x = 200, on the staff and on
+// the staves of any duet parts shown.
+export class StaffPlayer extends Player {
+    createNotes(pattern) {
+        return createNotes(pattern, StaffNote);
+    }
+
+    loadPattern(pattern) {
+        super.loadPattern(pattern);
+        this.update();
+    }
+
+    // Bar index under an x position on the staff
+    getBarAt(x) {
+        const beat = this.getCurrentBeat() - this.leadInBeats + (x - 200) / PIXELS_PER_BEAT;
+        const measureBeats = getMeasureBeats(this.timeSignature);
+        const lastBar = Math.max(0, Math.ceil(this.totalBeats / measureBeats) - 1);
+        return constrain(Math.floor(beat / measureBeats), 0, lastBar);
+    }
+
+    // Positions follow the clock, so dropped frames never skip or double a note
+    update() {
+        const currentBeat = this.getCurrentBeat();
+
+        this.barLines.forEach(barLine => {
+            barLine.x = 200 + (this.leadInBeats + barLine.beat - currentBeat) * PIXELS_PER_BEAT - 12;
+        });
+        [this.notes, ...this.parts.map(part => part.notes)].forEach(notes => {
+            notes.forEach(note => {
+                note.x = 200 + (this.getStartBeat(note) - currentBeat) * PIXELS_PER_BEAT;
+            });
+        });
+    }
+
+    // A duet part on its own staff, with the same bars and its name at the start
+    drawPart(part) {
+        stroke(100);
+        strokeWeight(1);
+        for (let i = 0; i < 5; i++) {
+            line(0, 130 + i * 10, layout.width, 130 + i * 10);
+        }
+        stroke(160);
+        this.barLines.forEach(barLine => {
+            line(barLine.x, 130, barLine.x, 170);
+        });
+        part.notes.forEach(note => note.draw());
+        drawStaffHeader(this.key, this.timeSignature);
+
+        noStroke();
+        fill(200);
+        textAlign(LEFT);
+        textSize(12);
+        text(part.name, 10, 110);
+    }
+
+    draw() {
+        // Draw staff lines
+        stroke(100);
+        strokeWeight(1);
+        for (let i = 0; i < 5; i++) {
+            let y = 130 + i * 10;
+            line(0, y, layout.width, y);
+        }
+
+        // Draw bar lines; the final one is a thin-thick double bar
+        stroke(160);
+        this.barLines.forEach(barLine => {
+            strokeWeight(1);
+            line(barLine.x, 130, barLine.x, 170);
+            if (barLine.final) {
+                strokeWeight(4);
+                line(barLine.x + 5, 130, barLine.x + 5, 170);
+            }
+        });
+
+        this.drawLoopMarkers();
+
+        // Draw play line
+        stroke(255, 100, 100);
+        strokeWeight(3);
+        line(200, 100, 200, 200);
+
+        // Draw notes
+        this.notes.forEach(note => note.draw());
+
+        drawStaffHeader(this.key, this.timeSignature);
+    }
+
+    // Shade the A-B loop and mark its ends
+    drawLoopMarkers() {
+        if (!this.loop) return;
+        const currentBeat = this.getCurrentBeat();
+        const startX = 200 + (this.leadInBeats + this.loop.start - currentBeat) * PIXELS_PER_BEAT - 12;
+        const endX = 200 + (this.leadInBeats + this.loop.end - currentBeat) * PIXELS_PER_BEAT - 12;
+
+        push();
+        noStroke();
+        fill(100, 160, 255, 40);
+        rect(startX, 110, endX - startX, 80);
+        stroke(100, 160, 255);
+        strokeWeight(2);
+        line(startX, 110, startX, 190);
+        line(endX, 110, endX, 190);
+        noStroke();
+        fill(100, 160, 255);
+        textAlign(CENTER);
+        textSize(12);
+        text('A', startX, 106);
+        text('B', endX, 106);
+        pop();
+    }
+}
+
+// Clef, key signature and time signature, pinned to the left while the music scrolls under them.
+// Covers the staff behind it; timeSignature may be null to leave it out.
+export function drawStaffHeader(keyName, timeSignature = null) {
+    const staffBottomY = 170;
+    const fifths = getKeyFifths(keyName);
+    const signature = KEY_SIGNATURE_PITCHES[fifths >= 0 ? 'sharp' : 'flat'].slice(0, Math.abs(fifths));
+    const keyX = 50;
+    const timeX = keyX + signature.length * 10 + 15;
+
+    push();
+    noStroke();
+    fill(26, 26, 46);
+    rect(0, 100, timeX + 20, 100);
+
+    stroke(100);
+    strokeWeight(1);
+    for (let i = 0; i < 5; i++) {
+        let y = 130 + i * 10;
+        line(0, y, timeX + 20, y);
+    }
+
+    // Treble clef with the small 8 below: guitar sounds an octave lower than written
+    noStroke();
+    fill(255);
+    textAlign(CENTER, CENTER);
+    textSize(62);
+    text('\u{1D11E}', 22, 148);
+    textSize(11);
+    text('8', 22, 190);
+
+    // Key signature
+    textSize(18);
+    const glyph = fifths >= 0 ? ACCIDENTAL_GLYPHS['1'] : ACCIDENTAL_GLYPHS['-1'];
+    signature.forEach((pitch, i) => {
+        text(glyph, keyX + i * 10, staffBottomY - getStaffStep(pitch) * 5 - 2);
+    });
+
+    // Time signature
+    if (timeSignature) {
+        const [beats, beatType] = timeSignature;
+        textStyle(BOLD);
+        textSize(22);
+        text(beats, timeX, 140);
+        text(beatType, timeX, 160);
+    }
+    pop();
+}
+
+// Tab Renderer
+// Six-line tablature that scrolls under the same play line as the staff
+export class TabRenderer {
+    constructor() {
+        this.lineSpacing = 10;
+    }
+
+    getStringY(top, string) {
+        return top + (string - 1) * this.lineSpacing;
+    }
+
+    draw(notes, barLines, top) {
+        const bottom = this.getStringY(top, 6);
+        push();
+
+        // Draw tab lines, 1st string at the top
+        stroke(100);
+        strokeWeight(1);
+        for (let string = 1; string <= 6; string++) {
+            let y = this.getStringY(top, string);
+            line(0, y, layout.width, y);
+        }
+
+        stroke(160);
+        barLines.forEach(barLine => {
+            strokeWeight(1);
+            line(barLine.x, top, barLine.x, bottom);
+            if (barLine.final) {
+                strokeWeight(4);
+                line(barLine.x + 5, top, barLine.x + 5, bottom);
+            }
+        });
+
+        // Draw play line
+        stroke(255, 100, 100);
+        strokeWeight(3);
+        line(200, top - 10, 200, bottom + 10);
+
+        // Fret numbers sit on their string, blanking the line behind them
+        textAlign(CENTER, CENTER);
+        textSize(11);
+        notes.forEach(note => {
+            if (note.pitch === 'rest' || note.string === undefined) return;
+            const y = this.getStringY(top, note.string);
+            // Tied continuations are shown in brackets, as they are not plucked again
+            const label = note.tiedFrom ? `(${note.fret})` : `${note.fret}`;
+            const labelWidth = textWidth(label) + 4;
+
+            noStroke();
+            fill(26, 26, 46);
+            rect(note.x - labelWidth / 2, y - 6, labelWidth, 12);
+            fill(note.getStateColor() || color(255));
+            text(label, note.x, y);
+        });
+
+        // Header
+        noStroke();
+        fill(26, 26, 46);
+        rect(0, top - 5, 45, bottom - top + 10);
+        fill(255);
+        textStyle(BOLD);
+        textSize(11);
+        ['T', 'A', 'B'].forEach((letter, i) => {
+            text(letter, 22, top + 12 + i * 13);
+        });
+        pop();
+    }
+}
+
+// Fretboard Visualizer
+export class FretboardVisualizer {
+    constructor(eventBus) {
+        this.eventBus = eventBus;
+        this.originX = 50;      // Top-left corner of the nut zone on the canvas
+        this.originY = 310;
+        this.numFrets = 19;     // Full classical neck
+        this.nutWidth = 30;     // Zone left of the nut where open strings light up
+        this.fitNeck(DESIGN_WIDTH);
+        this.activeFrets = new Map();  // "string-fret" -> { until: millis() when the highlight ends, finger }
+
+        this.eventBus.on('noteActivated', (noteData) => {
+            // Imported notes outside the guitar's range have nowhere to light up
+            if (noteData.string === undefined) return;
+            // Held until the player releases the note, so pauses keep it lit
+            this.highlight(noteData.string, noteData.fret, Infinity, noteData.finger);
+        });
+
+        this.eventBus.on('noteReleased', ({ string, fret }) => {
+            this.clearHighlight(string, fret);
+        });
+
+        // Held notes of the old pattern will never be released
+        this.eventBus.on('patternGenerated', () => {
+            this.activeFrets.clear();
+        });
+    }
+
+    // Run the neck from the nut zone to a margin short of the band's right edge, so a zoomed-in
+    // fretboard still shows all its frets
+    fitNeck(bandWidth) {
+        this.neckLength = bandWidth - 2 * this.originX - this.nutWidth;  // Nut to 19th fret, 670 on the page
+        // Frets get closer together up the neck: distance from the nut follows 1 - 2^(-n/12)
+        this.scaleLength = this.neckLength / (1 - Math.pow(2, -this.numFrets / 12));
+    }
+
+    highlight(string, fret, milliseconds, finger = null) {
+        const key = `${string}-${fret}`;
+        const existing = this.activeFrets.get(key);
+        const until = millis() + milliseconds;
+        this.activeFrets.set(key, {
+            until: existing ? Math.max(existing.until, until) : until,
+            finger: finger !== null && finger !== undefined ? finger : existing && existing.finger
+        });
+    }
+
+    clearHighlight(string, fret) {
+        this.activeFrets.delete(`${string}-${fret}`);
+    }
+
+    // X position of a fret wire, measured from the left edge of the nut zone
+    getFretX(fret) {
+        return this.nutWidth + this.scaleLength * (1 - Math.pow(2, -fret / 12));
+    }
+
+    // Where a finger on this fret sits: mid-way between the wires, or in the nut zone when open
+    getFretCenterX(fret) {
+        if (fret === 0) return this.nutWidth / 2;
+        return (this.getFretX(fret - 1) + this.getFretX(fret)) / 2;
+    }
+
+    getStringY(string) {
+        return 10 + (string - 1) * 20;
+    }
+
+    // String and fret (counted from the capo) under a canvas point, or null when it misses the neck
+    getPositionAt(x, y) {
+        const localX = x - this.originX;
+        const localY = y - this.originY;
+        if (localX < 0 || localX > this.getFretX(this.numFrets) || localY < 0 || localY > 120) {
+            return null;
+        }
+        const string = constrain(Math.round((localY - 10) / 20) + 1, 1, 6);
+        let fret = 0;
+        while (fret < this.numFrets && localX > this.getFretX(fret)) {
+            fret++;
+        }
+        // Behind the capo the strings don't sound
+        if (fret < guitar.capo) return null;
+        return { string, fret: fret - guitar.capo };
+    }
+
+    // Clicking a string/fret answers with the note it would sound
+    handleClick(x, y) {
+        const position = this.getPositionAt(x, y);
+        if (!position) return false;
+
+        const { string, fret } = position;
+        this.highlight(string, fret, 300);
+        this.eventBus.emit('pitchDetected', {
+            midi: guitar.getSoundingMidi(string, fret),
+            string,
+            fret,
+            source: 'fretboard'
+        });
+        return true;
+    }
+
+    draw() {
+        this.fitNeck(layout.width);
+        push();
+        translate(this.originX, this.originY);
+        const neckEnd = this.getFretX(this.numFrets);
+
+        // Draw fretboard
+        noStroke();
+        fill(60, 40, 30); // Nut zone
+        rect(0, 0, this.nutWidth, 120);
+        fill(139, 69, 19); // Brown
+        rect(this.nutWidth, 0, neckEnd - this.nutWidth, 120);
+
+        // Draw nut
+        stroke(240, 230, 200);
+        strokeWeight(5);
+        line(this.nutWidth, 0, this.nutWidth, 120);
+
+        // Draw frets
+        stroke(200);
+        strokeWeight(2);
+        for (let i = 1; i <= this.numFrets; i++) {
+            let x = this.getFretX(i);
+            line(x, 0, x, 120);
+        }
+
+        // Draw strings, 1st (high E) at the top
+        for (let string = 1; string <= 6; string++) {
+            let y = this.getStringY(string);
+            strokeWeight(1 + (string - 1) * 0.3);
+            line(0, y, neckEnd, y);
+        }
+
+        // Draw position markers
+        fill(255);
+        noStroke();
+        [3, 5, 7, 9, 15, 17, 19].forEach(fret => {
+            ellipse(this.getFretCenterX(fret), 60, 8, 8);
+        });
+
+        // Double dots at 12th fret
+        ellipse(this.getFretCenterX(12), 40, 8, 8);
+        ellipse(this.getFretCenterX(12), 80, 8, 8);
+
+        // Fret numbers under the marked frets
+        fill(200);
+        textAlign(CENTER, TOP);
+        textSize(10);
+        [3, 5, 7, 9, 12, 15, 17, 19].forEach(fret => {
+            text(fret, this.getFretCenterX(fret), 124);
+        });
+
+        // Open string names beside the nut, as tuned
+        textAlign(RIGHT, CENTER);
+        guitar.getStrings().forEach(([string, pitch]) => {
+            text(parsePitch(pitch).letter, -6, this.getStringY(string));
+        });
+
+        // The capo clamps the strings just behind its fret, where the open strings now light up
+        if (guitar.capo > 0) {
+            const capoX = this.getFretX(guitar.capo) - 6;
+            fill(40);
+            rect(capoX - 4, -4, 8, 128, 3);
+            fill(200);
+            textAlign(CENTER, BOTTOM);
+            text(`Capo ${guitar.capo}`, capoX, -6);
+        }
+
+        // Highlight active frets until their notes end, with the finger to use
+        const now = millis();
+        this.activeFrets.forEach(({ until, finger }, pos) => {
+            if (until <= now) {
+                this.activeFrets.delete(pos);
+                return;
+            }
+            let [string, fret] = pos.split('-').map(Number);
+            const x = this.getFretCenterX(fret + guitar.capo);
+            const y = this.getStringY(string);
+            fill(255, 200, 100, 150);
+            noStroke();
+            ellipse(x, y, 15, 15);
+            if (finger) {
+                fill(0);
+                textAlign(CENTER, CENTER);
+                textSize(10);
+                text(finger, x, y);
+            }
+        });
+
+        pop();
+    }
+}
+
+// Pass Summary
+// Accuracy and best streak of the last graded pass, over the top of the staff
+export function drawPassSummary(summary) {
+    if (!summary) return;
+    const { accuracy, bestStreak, total, hits } = summary;
+
+    push();
+    fill(15, 52, 96, 230);
+    stroke(255);
+    strokeWeight(1);
+    rect(layout.width / 2 - 150, 60, 300, 50, 8);
+    noStroke();
+    fill(255);
+    textAlign(CENTER, CENTER);
+    textSize(16);
+    text(`Accuracy ${Math.round(accuracy * 100)}%  (${hits}/${total})`, layout.width / 2, 77);
+    textSize(12);
+    text(`Best streak: ${bestStreak}`, layout.width / 2, 97);
+    pop();
+}
+
+// Quiz View
+// The note quiz on the staff: its question, the time left and the feedback. The reverse quiz asks on
+// the fretboard instead, and only shows the note once it is answered.
+export class QuizView {
+    constructor(eventBus, quiz, fretboard) {
+        this.eventBus = eventBus;
+        this.quiz = quiz;
+        this.fretboard = fretboard;
+        this.question = null;  // The question on show, to take its highlight off the fretboard again
+        this.note = null;
+
+        this.eventBus.on('quizQuestionChanged', (question) => {
+            if (this.question) {
+                this.fretboard.clearHighlight(this.question.string, this.question.fret);
+            }
+            this.question = question;
+            this.note = null;
+            if (!question) return;
+            this.note = new StaffNote(question.pitch, question.fret, question.string);
+            this.note.x = 400;
+            if (this.quiz.settings.type === 'reverse') {
+                this.fretboard.highlight(question.string, question.fret, Infinity);
+            }
+        });
+    }
+
+    // Returns whether the click was on the staff
+    handleStaffClick(x, y) {
+        if (y < 100 || y > 200) return false;
+        this.quiz.answerPlacement(getStaffPitch(Math.round((170 - y) / 5)));
+        return true;
+    }
+
+    draw() {
+        const quiz = this.quiz;
+        push();
+        // Staff with a clef; the question note sits in the middle
+        stroke(100);
+        strokeWeight(1);
+        for (let i = 0; i < 5; i++) {
+            line(0, 130 + i * 10, layout.width, 130 + i * 10);
+        }
+        drawStaffHeader('C');
+
+        noStroke();
+        fill(255);
+        textAlign(LEFT);
+        textSize(14);
+        if (!quiz.active) {
+            const message = quiz.summary
+                ? `Quiz over: ${quiz.summary.score} points, ${quiz.summary.correct}/${quiz.summary.asked} right, ` +
+                  `${quiz.summary.averageSeconds.toFixed(1)}s per answer. Press Start Quiz to go again.`
+                : 'Choose a quiz, strings and frets, then press Start Quiz.';
+            text(message, 80, 80);
+            pop();
+            return;
+        }
+
+        text(QUIZ_TYPES[quiz.settings.type], 80, 70);
+        textAlign(RIGHT);
+        text(`Score ${quiz.score}   Streak ${quiz.streak}   ${quiz.asked}/${quiz.settings.length}`, layout.width - 20, 70);
+
+        const result = !quiz.feedback ? null
+            : quiz.feedback.correct ? 'correct' : quiz.feedback.correct === null ? 'missed' : 'wrong';
+        if (this.note) {
+            // In the reverse quiz the note only appears once answered, and every answer names it
+            this.note.result = result;
+            this.note.showName = !!result;
+            if (quiz.settings.type !== 'reverse' || result) {
+                this.note.draw();
+            }
+
+            // Time left
+            if (!result) {
+                const left = quiz.getTimeLeft();
+                noStroke();
+                fill(60);
+                rect(80, 85, 200, 6);
+                fill(left > 0.3 ? color(100, 255, 100) : color(255, 120, 80));
+                rect(80, 85, 200 * left, 6);
+            }
+        }
+
+        if (result) {
+            const [r, g, b] = RESULT_COLORS[result];
+            fill(r, g, b);
+            textAlign(CENTER);
+            textSize(16);
+            text(quiz.feedback.correct ? 'Right!' : quiz.feedback.message, layout.width / 2, 230);
+        }
+        pop();
+    }
+}
+
+// Pattern Editor
+// Builds an exercise note by note. Staff clicks enter the pitch the key signature implies;
+// fretboard clicks and MIDI notes enter the exact pitch, and the fretboard also fixes string and fret.
+export class PatternEditor {
+    constructor(eventBus, fingeringSolver) {
+        this.eventBus = eventBus;
+        this.fingeringSolver = fingeringSolver;
+        this.active = false;
+        this.name = '';
+        this.key = 'C';
+        this.timeSignature = [4, 4];
+        this.duration = '4n';  // Value of the next note entered
+        this.chord = false;  // Stack new notes onto the previous one
+        this.notes = [];  // Pattern note data in entry order
+        this.parts = null;  // Duet parts of a loaded exercise
+
+        this.eventBus.on('editorSettingsChanged', (settings) => {
+            Object.assign(this, settings);
+        });
+
+        this.eventBus.on('pitchDetected', (input) => {
+            // The microphone hears too much in between notes to enter them reliably
+            if (this.active && input.source !== 'microphone') {
+                this.addFromInput(input);
+            }
+        });
+    }
+
+    addNote(noteData) {
+        const previous = this.notes[this.notes.length - 1];
+        // A stacked note sounds as long as the note it joins
+        if (this.chord && previous && previous.pitch !== 'rest' && noteData.pitch !== 'rest') {
+            noteData = { ...noteData, duration: previous.duration, chord: true };
+        }
+        this.notes.push(noteData);
+    }
+
+    // A line or space of the staff, raised or lowered by the key signature; returns false if unplayable
+    addFromStaff(step) {
+        const { letter, octave } = parsePitch(getStaffPitch(step));
+        const alter = getKeySignature(this.key)[letter] || 0;
+        const pitch = spellPitch(letter, alter, pitchToMidi(`${letter}${octave}`) + alter);
+        if (findLocations(pitch).length === 0) return false;
+        this.addNote({ pitch, duration: this.duration });
+        return true;
+    }
+
+    addFromInput({ midi, string, fret }) {
+        // Inputs report sounding pitch; the staff shows it an octave higher, less the capo
+        const pitch = spellInKey(guitar.toWrittenMidi(midi), this.key);
+        const noteData = { pitch, duration: this.duration };
+        if (string !== undefined && fret !== undefined) {
+            Object.assign(noteData, { string, fret });
+        }
+        this.addNote(noteData);
+    }
+
+    addRest() {
+        this.notes.push({ pitch: 'rest', duration: this.duration });
+    }
+
+    removeLast() {
+        this.notes.pop();
+    }
+
+    // Add or take away a marking on the last note: a dynamic, hairpin, articulation, slur or technique
+    markLast(marking) {
+        const note = this.notes[this.notes.length - 1];
+        if (!note) return;
+        const toggle = (field, value) => {
+            if (note[field] === value) {
+                delete note[field];
+            } else {
+                note[field] = value;
+            }
+        };
+        if (marking in DYNAMICS) {
+            toggle('dynamic', marking);
+        } else if (HAIRPINS.includes(marking)) {
+            toggle('hairpin', marking);
+        } else if (marking in TECHNIQUES) {
+            toggle('technique', marking);
+        } else if (marking === 'slur') {
+            toggle('slur', true);
+        } else if (marking in ARTICULATIONS) {
+            const articulations = note.articulations || [];
+            note.articulations = articulations.includes(marking)
+                ? articulations.filter(name => name !== marking)
+                : [...articulations, marking];
+            if (note.articulations.length === 0) delete note.articulations;
+        }
+    }
+
+    clear() {
+        this.notes = [];
+    }
+
+    // Start from an existing exercise, e.g. one from the library
+    load(pattern) {
+        const normalized = normalizePattern(pattern);
+        this.name = normalized.name || '';
+        this.key = normalized.key;
+        this.timeSignature = normalized.timeSignature;
+        this.notes = normalized.notes.map(({ finger, position, ...noteData }) => noteData);
+        this.parts = normalized.parts;  // Duet parts aren't edited here, only carried along
+    }
+
+    // The exercise as a pattern, fingered wherever the clicks left string and fret open
+    getPattern() {
+        const { notes } = this.fingeringSolver.solve(this.notes);
+        return {
+            name: this.name.trim() || 'Untitled exercise',
+            key: this.key,
+            timeSignature: [...this.timeSignature],
+            notes,
+            ...(this.parts ? { parts: this.parts } : {})
+        };
+    }
+
+    // Returns whether the click was on the staff
+    handleStaffClick(x, y) {
+        if (y < 100 || y > 200) return false;
+        this.addFromStaff(Math.round((170 - y) / 5));
+        return true;
+    }
+
+    draw() {
+        const startX = 130;
+        const notes = createNotes({ key: this.key, timeSignature: this.timeSignature, notes: this.notes }, StaffNote);
+        const measureBeats = getMeasureBeats(this.timeSignature);
+        const totalBeats = notes.reduce((end, note) => Math.max(end, note.beat + note.beats), 0);
+        // Keep the end, where notes go in, on screen
+        const scroll = Math.max(0, startX + totalBeats * PIXELS_PER_BEAT - (layout.width - 80));
+        const beatToX = (beat) => startX + beat * PIXELS_PER_BEAT - scroll;
+
+        push();
+        stroke(100);
+        strokeWeight(1);
+        for (let i = 0; i < 5; i++) {
+            line(0, 130 + i * 10, layout.width, 130 + i * 10);
+        }
+        stroke(160);
+        for (let barBeat = measureBeats; barBeat < totalBeats; barBeat += measureBeats) {
+            line(beatToX(barBeat) - 12, 130, beatToX(barBeat) - 12, 170);
+        }
+
+        // Entry cursor
+        stroke(100, 160, 255);
+        strokeWeight(2);
+        line(beatToX(totalBeats), 110, beatToX(totalBeats), 190);
+
+        // Ties and slurs reach over to the next note, so place every note before drawing any
+        notes.forEach(note => {
+            note.x = beatToX(note.beat);
+        });
+        notes.forEach(note => note.draw());
+        drawStaffHeader(this.key, this.timeSignature);
+
+        // Name the pitch a click would enter
+        const mouse = layout.toBand('staff', mouseX, mouseY);
+        if (mouse && mouse.y >= 100 && mouse.y <= 200 && mouse.x > startX) {
+            const step = Math.round((170 - mouse.y) / 5);
+            noStroke();
+            fill(100, 160, 255, 120);
+            ellipse(mouse.x, 170 - step * 5, 20, 15);
+        }
+
+        noStroke();
+        fill(200);
+        textAlign(LEFT);
+        textSize(14);
+        text(`Editing "${this.name.trim() || 'Untitled exercise'}": click the staff or fretboard to add ${this.chord ? 'to the chord' : 'a note'}; Backspace removes the last one`, 20, 80);
+        pop();
+    }
+}
+
+// Heard Pitch
+// What the microphone is hearing, in the corner of the heading
+export function drawHeardPitch(pitchListener) {
+    if (!pitchListener.listening) return;
+    push();
+    noStroke();
+    fill(200);
+    textAlign(RIGHT);
+    textSize(12);
+    const heard = pitchListener.currentPitch
+        ? `${midiToPitch(pitchListener.currentPitch.midi)} (${pitchListener.currentPitch.frequency.toFixed(1)} Hz)`
+        : '-';
+    text(`Heard: ${heard}`, layout.width - 20, 30);
+    pop();
+}
@@ -0,0 +1,437 @@
+import { TECHNIQUES, buildRenderSchedule, PitchTracker } from '../core/index.js';
+
+// Tone.js Adapter
+// Sound and timing in the browser, on the Tone global the page loads: AudioEngine plays the sampled
+// classical guitar and the metronome, ToneClock runs the Player on Tone's transport, and PitchListener
+// hears the student through the same audio context.
+export class AudioEngine {
+    constructor() {
+        this.audioEnabled = false;
+        this.sampler = null;
+        this.samples = null;  // Pitch -> loaded buffer, shared by every sampler
+        this.isInitialized = false;
+
+        // The metronome has its own synth and volume so it works with the guitar sound off
+        this.metronomeEnabled = false;
+        this.metronomeVolume = -12;  // dB
+        this.metronomeSubdivision = 1;  // Clicks per beat; 1 means beats only
+        this.click = null;
+
+        // Ensemble parts each get their own sampler, level and pan, mixed into the shared limiter
+        this.partVoices = {};  // Part name -> { sampler, toneFilter, channel }
+        this.partMixes = {};   // Part name -> { volume (dB), pan (-1 left to 1 right) }
+        console.log('AudioEngine created');
+    }
+
+    async initializeAudio() {
+        try {
+            console.log('Starting audio initialization...');
+            await Tone.start();
+            console.log('Tone.js started');
+
+            this.samples = await this.loadSamples();
+            console.log('Samples loaded and ready');
+            Object.assign(this, this.createGuitarChain(this.samples));
+            // Parts of the pattern already loaded get their voices now, before anything plays
+            Object.keys(this.partMixes).forEach(name => this.getPartVoice(name));
+            this.isInitialized = true;
+            return true;
+        } catch (error) {
+            console.error('Audio initialization failed:', error);
+            return false;
+        }
+    }
+
+    // Fetch the guitar samples once, as buffers every sampler can share; resolves to pitch -> buffer
+    loadSamples() {
+        return new Promise((resolve, reject) => {
+            const buffers = new Tone.ToneAudioBuffers({
+                urls: GUITAR_SAMPLES,
+                onload: () => resolve(Object.fromEntries(Object.keys(GUITAR_SAMPLES).map(pitch => [pitch, buffers.get(pitch)]))),
+                onerror: reject
+            });
+        });
+    }
+
+    // Sampler -> tone filter -> limiter -> reverb, built in the current context, live or offline.
+    // samples are the shared buffers, or the sample URLs when they aren't loaded yet.
+    createGuitarChain(samples = GUITAR_SAMPLES) {
+        const reverb = new Tone.Reverb({
+            decay: 2,
+            wet: 0.2
+        }).toDestination();
+
+        const limiter = new Tone.Limiter(-6).connect(reverb);
+
+        // Right-hand technique shapes the tone; each note sets the cutoff as it starts
+        const toneFilter = new Tone.Filter(TECHNIQUES.free.cutoff, 'lowpass').connect(limiter);
+
+        // Create sampler with envelope settings
+        const sampler = new Tone.Sampler(samples, {
+            attack: 0.005,
+            release: 0.3,
+            volume: -6
+        }).connect(toneFilter);
+
+        return { reverb, limiter, toneFilter, sampler };
+    }
+
+    async enableAudio() {
+        console.log('enableAudio() called');
+        if (!this.isInitialized) {
+            console.log('Audio not initialized, calling initializeAudio()');
+            const success = await this.initializeAudio();
+            if (!success) {
+                console.error('Failed to initialize audio');
+                return false;
+            }
+        }
+        this.audioEnabled = true;
+        console.log('Audio enabled successfully');
+        return true;
+    }
+
+    // pitch is the sounding pitch (guitar parts go through guitar.toSounding first);
+    // time is the exact audio-context time to sound the note; defaults to right away.
+    // expression gives the velocity and tone cutoff worked out from the note's markings.
+    playNote(pitch, duration = 0.5, time = Tone.now(), expression = {}) {
+        if (!this.audioEnabled || !this.isInitialized || pitch === 'rest') {
+            return;
+        }
+
+        try {
+            // Ensure we're in a valid state to play
+            if (Tone.context.state !== 'running') {
+                return;
+            }
+
+            this.triggerNote(this, pitch, duration, time, expression);
+            console.log(`Playing note: ${pitch}, duration: ${duration}`);
+
+        } catch (error) {
+            console.error('Error playing note:', error);
+            try {
+                // Fallback to C4
+                this.sampler.triggerAttackRelease('C4', duration, time, 0.6);
+                console.log('Fallback to C4');
+            } catch (fallbackError) {
+                console.error('Fallback also failed:', fallbackError);
+            }
+        }
+    }
+
+    // Sampler -> tone filter -> channel for one part, feeding destination (the limiter by default)
+    createPartVoice(name, samples = this.samples, destination = this.limiter) {
+        const { volume = 0, pan = 0 } = this.partMixes[name] || {};
+        const channel = new Tone.Channel({ volume, pan }).connect(destination);
+        const toneFilter = new Tone.Filter(TECHNIQUES.free.cutoff, 'lowpass').connect(channel);
+        const sampler = new Tone.Sampler(samples, {
+            attack: 0.005,
+            release: 0.3,
+            volume: -6
+        }).connect(toneFilter);
+        return { channel, toneFilter, sampler };
+    }
+
+    // The part's voice, made on the shared samples the first time it is asked for; null until they are loaded
+    getPartVoice(name) {
+        if (!this.samples) return null;
+        return this.partVoices[name] || (this.partVoices[name] = this.createPartVoice(name));
+    }
+
+    // Called for each part as a pattern loads and whenever its mix changes, so voices are ready before playing
+    setPartMix(name, { volume, pan }) {
+        this.partMixes[name] = { volume, pan };
+        const voice = this.getPartVoice(name);
+        if (voice) {
+            voice.channel.volume.value = volume;
+            voice.channel.pan.value = pan;
+        }
+    }
+
+    // Like playNote, on a part's own voice
+    playPartNote(name, pitch, duration, time, expression = {}) {
+        if (!this.audioEnabled || !this.isInitialized || pitch === 'rest' || Tone.context.state !== 'running') {
+            return;
+        }
+        this.triggerNote(this.getPartVoice(name), pitch, duration, time, expression);
+    }
+
+    triggerNote({ sampler, toneFilter }, pitch, duration, time, { velocity = 0.8, cutoff = TECHNIQUES.free.cutoff } = {}) {
+        toneFilter.frequency.setValueAtTime(cutoff, time);
+        sampler.triggerAttackRelease(pitch, duration, time, velocity);
+    }
+
+    // Render a pattern to an AudioBuffer with its own sampler and click, off the realtime clock.
+    // options are those of buildRenderSchedule.
+    async renderPattern(pattern, options) {
+        const schedule = buildRenderSchedule(pattern, {
+            subdivision: this.metronomeSubdivision,
+            ...options
+        });
+        const samples = this.samples || await this.loadSamples();
+        const rendered = await Tone.Offline(async () => {
+            const chain = this.createGuitarChain(samples);
+            const { click } = this.createClickChain();
+            const partVoices = {};
+            schedule.notes.forEach(({ part }) => {
+                if (part && !partVoices[part]) partVoices[part] = this.createPartVoice(part, samples, chain.limiter);
+            });
+            await chain.reverb.ready;
+
+            schedule.notes.forEach(({ part, pitch, time, duration, expression }) => {
+                this.triggerNote(part ? partVoices[part] : chain, pitch, duration, time, expression);
+            });
+            schedule.clicks.forEach(({ level, time }) => {
+                const { pitch, velocity } = METRONOME_CLICKS[level];
+                click.triggerAttackRelease(pitch, 0.03, time, velocity);
+            });
+        }, schedule.duration);
+        return rendered.get();
+    }
+
+    // Metronome
+    async enableMetronome() {
+        await Tone.start();
+        if (!this.click) {
+            Object.assign(this, this.createClickChain());
+        }
+        this.metronomeEnabled = true;
+    }
+
+    createClickChain() {
+        const clickVolume = new Tone.Volume(this.metronomeVolume).toDestination();
+        // Dry and short: the click bypasses the guitar's reverb
+        const click = new Tone.Synth({
+            oscillator: { type: 'square' },
+            envelope: { attack: 0.001, decay: 0.04, sustain: 0, release: 0.01 }
+        }).connect(clickVolume);
+        return { clickVolume, click };
+    }
+
+    disableMetronome() {
+        this.metronomeEnabled = false;
+    }
+
+    setMetronomeVolume(db) {
+        this.metronomeVolume = db;
+        if (this.clickVolume) {
+            this.clickVolume.volume.value = db;
+        }
+    }
+
+    setMetronomeSubdivision(clicksPerBeat) {
+        this.metronomeSubdivision = clicksPerBeat;
+    }
+
+    // level is 'downbeat', 'beat' or 'subdivision'; the downbeat is higher and louder
+    playClick(level, time = Tone.now()) {
+        if (!this.metronomeEnabled || !this.click || Tone.context.state !== 'running') {
+            return;
+        }
+        const { pitch, velocity } = METRONOME_CLICKS[level];
+        this.click.triggerAttackRelease(pitch, 0.03, time, velocity);
+    }
+
+    // One metronome beat, with the subdivisions in between; beatSeconds is the length of the beat
+    playBeat(isDownbeat, beatSeconds, time = Tone.now()) {
+        this.playClick(isDownbeat ? 'downbeat' : 'beat', time);
+        for (let i = 1; i < this.metronomeSubdivision; i++) {
+            this.playClick('subdivision', time + beatSeconds * i / this.metronomeSubdivision);
+        }
+    }
+}
+
+// Map every WAV file in /samples to its pitch
+export const GUITAR_SAMPLES = {
+    "A#1": "samples/A#1.wav",
+    "A#3": "samples/A#3.wav",
+    "A#4": "samples/A#4.wav",
+    "A#5": "samples/A#5.wav",
+    "A1": "samples/A1.wav",
+    "A2": "samples/A2.wav",
+    "A3": "samples/A3.wav",
+    "A4": "samples/A4.wav",
+    "A5": "samples/A5.wav",
+    "B1": "samples/B1.wav",
+    "B2": "samples/B2.wav",
+    "B3": "samples/B3.wav",
+    "B4": "samples/B4.wav",
+    "B5": "samples/B5.wav",
+    "C#2": "samples/C#2.wav",
+    "C#4": "samples/C#4.wav",
+    "C#5": "samples/C#5.wav",
+    "C2": "samples/C2.wav",
+    "C3": "samples/C3.wav",
+    "C4": "samples/C4.wav",
+    "C5": "samples/C5.wav",
+    "C6": "samples/C6.wav",
+    "D#2": "samples/D#2.wav",
+    "D#4": "samples/D#4.wav",
+    "D#5": "samples/D#5.wav",
+    "D2": "samples/D2.wav",
+    "D3": "samples/D3.wav",
+    "D4": "samples/D4.wav",
+    "D5": "samples/D5.wav",
+    "E2": "samples/E2.wav",
+    "E3": "samples/E3.wav",
+    "E4": "samples/E4.wav",
+    "E5": "samples/E5.wav",
+    "F#3": "samples/F#3.wav",
+    "F#4": "samples/F#4.wav",
+    "F#5": "samples/F#5.wav",
+    "F2": "samples/F2.wav",
+    "F3": "samples/F3.wav",
+    "F4": "samples/F4.wav",
+    "F5": "samples/F5.wav",
+    "G#1": "samples/G#1.wav",
+    "G#3": "samples/G#3.wav",
+    "G#5": "samples/G#5.wav",
+    "G1": "samples/G1.wav",
+    "G2": "samples/G2.wav",
+    "G3": "samples/G3.wav",
+    "G4": "samples/G4.wav",
+    "G5": "samples/G5.wav"
+};
+
+export const METRONOME_CLICKS = {
+    downbeat: { pitch: 'C6', velocity: 1 },
+    beat: { pitch: 'G5', velocity: 0.6 },
+    subdivision: { pitch: 'G5', velocity: 0.25 }
+};
+
+// Tone Clock
+// The Player's clock on the transport. Beats are counted in ticks so tempo changes keep the music in
+// place; callbacks run ahead of time for the audio, and defer holds state changes until they are heard.
+export class ToneClock {
+    setTempo(bpm, rampSeconds = 0) {
+        if (rampSeconds > 0) {
+            Tone.Transport.bpm.rampTo(bpm, rampSeconds);
+        } else {
+            Tone.Transport.bpm.value = bpm;
+        }
+    }
+
+    toTicks(beat) {
+        return Math.round(beat * Tone.Transport.PPQ);
+    }
+
+    getBeat() {
+        return Tone.Transport.ticks / Tone.Transport.PPQ;
+    }
+
+    setBeat(beat) {
+        Tone.Transport.ticks = this.toTicks(beat);
+    }
+
+    schedule(callback, beat) {
+        return Tone.Transport.schedule(callback, `${this.toTicks(beat)}i`);
+    }
+
+    clear(id) {
+        Tone.Transport.clear(id);
+    }
+
+    start() {
+        Tone.Transport.start();
+    }
+
+    stop() {
+        Tone.Transport.stop();
+    }
+
+    pause(time) {
+        Tone.Transport.pause(time);
+    }
+
+    // The transport wraps loops itself
+    setLoop(loop) {
+        if (!loop) {
+            Tone.Transport.loop = false;
+            return;
+        }
+        Tone.Transport.setLoopPoints(`${this.toTicks(loop.start)}i`, `${this.toTicks(loop.end)}i`);
+        Tone.Transport.loop = true;
+    }
+
+    onLoop(callback) {
+        Tone.Transport.on('loop', callback);
+    }
+
+    defer(callback, time) {
+        Tone.Draw.schedule(callback, time);
+    }
+
+    // Starts the audio context, which needs a user gesture, then waits for samples still loading so the first notes aren't lost
+    unlock() {
+        return Tone.start().then(() => Tone.loaded());
+    }
+
+    now() {
+        return Tone.now();
+    }
+}
+
+// Microphone Listener
+// The microphone, on the same audio context as the sound, checked once per frame for newly played notes
+export class PitchListener {
+    constructor(eventBus) {
+        this.eventBus = eventBus;
+        this.listening = false;
+        this.stream = null;
+        this.analyser = null;
+        this.buffer = null;
+        this.tracker = new PitchTracker();
+        this.currentPitch = null;  // Latest steady pitch, for display
+    }
+
+    async start() {
+        try {
+            await Tone.start();
+            const context = Tone.context.rawContext;
+            // Processing meant for speech smears a plucked string's pitch
+            this.stream = await navigator.mediaDevices.getUserMedia({
+                audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false }
+            });
+            this.source = context.createMediaStreamSource(this.stream);
+            this.analyser = context.createAnalyser();
+            this.analyser.fftSize = 2048;
+            this.source.connect(this.analyser);
+            this.buffer = new Float32Array(this.analyser.fftSize);
+            this.sampleRate = context.sampleRate;
+            this.listening = true;
+            console.log('Microphone listening');
+            return true;
+        } catch (error) {
+            console.error('Microphone access failed:', error);
+            return false;
+        }
+    }
+
+    stop() {
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+        }
+        if (this.source) {
+            this.source.disconnect();
+        }
+        this.stream = null;
+        this.source = null;
+        this.listening = false;
+        this.tracker.reset();
+        this.currentPitch = null;
+        console.log('Microphone stopped');
+    }
+
+    // Called once per frame; announces each note as it is played, not while it rings on
+    update() {
+        if (!this.listening) return;
+
+        this.analyser.getFloatTimeDomainData(this.buffer);
+        const attack = this.tracker.update(this.buffer, this.sampleRate);
+        this.currentPitch = this.tracker.currentPitch;
+        if (attack) {
+            this.eventBus.emit('pitchDetected', { ...attack, source: 'microphone' });
+        }
+    }
+}
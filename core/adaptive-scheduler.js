@@ -0,0 +1,61 @@
+import { pitchToMidi } from './pitch.js';
+
+// Adaptive Scheduler
+// Leitner-style spaced repetition over pitches, string/fret locations and melodic intervals.
+// Time is counted in sessions rather than days, so the same history always gives the same weights.
+export class AdaptiveScheduler {
+    constructor(reviewIntervals = [1, 2, 4, 8, 16]) {
+        this.reviewIntervals = reviewIntervals;  // Sessions between reviews for boxes 1..5
+        this.items = {};
+        this.sessionCount = 0;
+    }
+
+    static getKeys(note, previous) {
+        const keys = [`pitch:${note.pitch}`, `location:${note.string}-${note.fret}`];
+        if (previous) {
+            keys.push(`interval:${Math.abs(pitchToMidi(note.pitch) - pitchToMidi(previous.pitch))}`);
+        }
+        return keys;
+    }
+
+    buildFromHistory(sessions) {
+        this.items = {};
+        this.sessionCount = sessions.length;
+        sessions.forEach((session, sessionIndex) => {
+            let previous = null;
+            session.results.forEach(result => {
+                AdaptiveScheduler.getKeys(result, previous).forEach(key => {
+                    this.review(key, result.result, sessionIndex);
+                });
+                previous = result;
+            });
+        });
+    }
+
+    review(key, result, sessionIndex) {
+        const item = this.items[key] || (this.items[key] = { box: 1, attempts: 0, misses: 0, lastSeen: sessionIndex });
+        item.attempts++;
+        if (result === 'wrong' || result === 'missed') {
+            // A miss sends the item back to the first box
+            item.misses++;
+            item.box = 1;
+        } else if (result === 'correct') {
+            item.box = Math.min(this.reviewIntervals.length, item.box + 1);
+        }
+        item.lastSeen = sessionIndex;
+    }
+
+    getItemWeight(key) {
+        const item = this.items[key];
+        if (!item) return 1;
+        const errorRate = item.misses / item.attempts;
+        const due = this.sessionCount - item.lastSeen >= this.reviewIntervals[item.box - 1];
+        return 1 + errorRate * 4 + (due ? 2 / item.box : 0);
+    }
+
+    // How strongly to favour playing this note next
+    getWeight(note, previous) {
+        return AdaptiveScheduler.getKeys(note, previous)
+            .reduce((weight, key) => weight * this.getItemWeight(key), 1);
+    }
+}
@@ -0,0 +1,113 @@
+// Manual Clock
+// A clock that only moves when told to, for running the Player without audio or a screen, e.g. under
+// Node. It also spells out what the Player needs of a clock (ToneClock is the one used in the browser):
+//   setTempo(bpm, rampSeconds), getBeat(), setBeat(beat), schedule(callback, beat) -> id, clear(id),
+//   start(), stop(), pause(time), setLoop({ start, end } or null), onLoop(callback),
+//   defer(callback, time), unlock() -> Promise, now() -> seconds.
+// Beats count from the top of the timeline; callbacks are given the time in seconds they fall at.
+export class ManualClock {
+    constructor(tempo = 120) {
+        this.tempo = tempo;
+        this.beat = 0;
+        this.seconds = 0;  // Time that has passed while running
+        this.running = false;
+        this.events = new Map();  // Id -> { beat, callback }, in the order they were scheduled
+        this.nextId = 0;
+        this.loop = null;
+        this.loopCallbacks = [];
+        this.firedThrough = -Infinity;  // Beat whose events already ran when a callback paused on it
+    }
+
+    setTempo(bpm) {
+        this.tempo = bpm;
+    }
+
+    getBeat() {
+        return this.beat;
+    }
+
+    setBeat(beat) {
+        this.beat = beat;
+        this.firedThrough = -Infinity;
+    }
+
+    schedule(callback, beat) {
+        const id = this.nextId++;
+        this.events.set(id, { beat, callback });
+        return id;
+    }
+
+    clear(id) {
+        this.events.delete(id);
+    }
+
+    start() {
+        this.running = true;
+    }
+
+    stop() {
+        this.running = false;
+        this.setBeat(0);
+    }
+
+    pause() {
+        this.running = false;
+    }
+
+    setLoop(loop) {
+        this.loop = loop;
+    }
+
+    onLoop(callback) {
+        this.loopCallbacks.push(callback);
+    }
+
+    // Nothing runs ahead of time here, so there is nothing to wait for
+    defer(callback) {
+        callback();
+    }
+
+    unlock() {
+        return Promise.resolve();
+    }
+
+    now() {
+        return this.seconds;
+    }
+
+    // Move on by the given beats while running, firing every event passed and wrapping at the loop's end
+    advance(beats) {
+        let left = beats;
+        while (this.running && left > 1e-9) {
+            const loopEnd = this.loop && this.beat < this.loop.end - 1e-9 ? this.loop.end : Infinity;
+            const step = Math.min(left, loopEnd - this.beat);
+            this.runUntil(this.beat + step);
+            if (!this.running) return;
+            left -= step;
+            if (this.beat >= loopEnd - 1e-9) {
+                this.setBeat(this.loop.start);
+                this.loopCallbacks.forEach(callback => callback(this.seconds));
+            }
+        }
+    }
+
+    // Fire the events from the current beat up to, but not on, target. Events on one beat run in the order
+    // they were scheduled, and a callback that pauses still lets the rest of its beat run, as the transport does.
+    runUntil(target) {
+        const due = [...this.events.values()]
+            .filter(({ beat }) => beat >= this.beat - 1e-9 && beat < target - 1e-9 && beat > this.firedThrough + 1e-9)
+            .sort((a, b) => a.beat - b.beat);
+        for (const { beat, callback } of due) {
+            if (!this.running && beat > this.beat + 1e-9) break;
+            this.seconds += (beat - this.beat) * 60 / this.tempo;
+            this.beat = beat;
+            callback(this.seconds);
+        }
+        if (!this.running) {
+            this.firedThrough = this.beat;
+            return;
+        }
+        this.seconds += (target - this.beat) * 60 / this.tempo;
+        this.setBeat(target);
+    }
+}
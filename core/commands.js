@@ -0,0 +1,155 @@
+// Commands
+// What the buttons, keys and pedals do, as commands so that changes to the exercise can be undone. Commands act on the player and the event bus, never on the page.
+export class Command {
+    execute() { }
+    undo() { }
+    // Only commands that change what is being practised go on the undo stack
+    isUndoable() { return false; }
+}
+
+export class PlayCommand extends Command {
+    constructor(player) {
+        super();
+        this.player = player;
+    }
+    execute() { this.player.play(); }
+}
+
+export class PauseCommand extends Command {
+    constructor(player) {
+        super();
+        this.player = player;
+    }
+    execute() { this.player.pause(); }
+}
+
+// Jump to a beat of the pattern. Moving about is not an edit, so transport commands stay off the undo stack.
+export class SeekCommand extends Command {
+    constructor(player, beat) {
+        super();
+        this.player = player;
+        this.beat = beat;
+    }
+    execute() { this.player.setPosition(this.beat); }
+}
+
+// Play the section again from its start: the loop's A marker, or the top of the pattern
+export class ReplayCommand extends Command {
+    constructor(player) {
+        super();
+        this.player = player;
+    }
+    execute() {
+        this.player.setPosition(this.player.loop ? this.player.loop.start : 0);
+        this.player.play();
+    }
+}
+
+// Set or clear (loop = null) the A-B loop region
+export class SetLoopCommand extends Command {
+    constructor(player, loop) {
+        super();
+        this.player = player;
+        this.loop = loop;
+    }
+    execute() { this.player.setLoop(this.loop); }
+}
+
+// Replace the exercise with a given pattern, e.g. an imported one; undo brings back the one it replaced
+export class LoadPatternCommand extends Command {
+    constructor(eventBus, player, pattern) {
+        super();
+        this.eventBus = eventBus;
+        this.player = player;
+        this.pattern = pattern;
+        this.previousPattern = null;
+    }
+    execute() {
+        this.previousPattern = this.player.currentPattern;
+        this.eventBus.emit('patternGenerated', this.pattern);
+    }
+    undo() {
+        if (this.previousPattern) {
+            this.eventBus.emit('patternGenerated', this.previousPattern);
+        }
+    }
+    isUndoable() { return true; }
+}
+
+// A fresh exercise from the generator; redo brings back the same one rather than generating again.
+// fallback holds the generator's reason when it had to play a preset instead.
+export class GeneratePatternCommand extends LoadPatternCommand {
+    constructor(generator, player) {
+        super(generator.eventBus, player, null);
+        this.generator = generator;
+        this.fallback = null;
+    }
+    execute() {
+        if (this.pattern) {
+            super.execute();
+            return;
+        }
+        this.previousPattern = this.player.currentPattern;
+        this.fallback = this.generator.generateNewPattern();
+        this.pattern = this.player.currentPattern;
+    }
+}
+
+// Step the tempo up or down, within the slider's range
+export class ChangeTempoCommand extends Command {
+    constructor(eventBus, player, change, minTempo = 60, maxTempo = 180) {
+        super();
+        this.eventBus = eventBus;
+        this.player = player;
+        this.change = change;
+        this.minTempo = minTempo;
+        this.maxTempo = maxTempo;
+    }
+    execute() {
+        this.eventBus.emit('tempoChanged', Math.min(Math.max(this.player.tempo + this.change, this.minTempo), this.maxTempo));
+    }
+}
+
+// Undo and redo stacks; executing a new undoable command drops whatever could have been redone
+export class CommandHistory {
+    constructor(limit = 50) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    execute(command) {
+        command.execute();
+        if (!command.isUndoable()) return;
+        this.undoStack.push(command);
+        // Keep history manageable
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return false;
+        command.undo();
+        this.redoStack.push(command);
+        return true;
+    }
+
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return false;
+        command.execute();
+        this.undoStack.push(command);
+        return true;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+}
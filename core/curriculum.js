@@ -0,0 +1,169 @@
+// Curriculum
+// Graded levels built from generator settings. Each level has a tempo and pass criteria: the average
+// accuracy of the last few passes played at that tempo or faster. Passing unlocks and moves on to the next.
+// Only passes over an exercise generated from the level's settings count; library, preset and imported pieces don't.
+// Progress is kept in Web Storage like the practice history.
+export const CURRICULUM_DEFAULTS = {
+    source: 'generated',
+    strings: [1, 2, 3, 4, 5, 6],
+    difficulty: 'easy',
+    rhythm: 'quarters',
+    timeSignature: '4/4',
+    length: 8,
+    adaptive: false
+};
+
+export const CURRICULUM = [
+    { name: 'Open strings', tempo: 60, settings: { key: 'C', position: 'open' } },
+    { name: 'First position: strings 1 and 2', tempo: 60, settings: { key: 'C', position: 'I', strings: [1, 2] } },
+    { name: 'First position: strings 1 to 3', tempo: 60, settings: { key: 'C', position: 'I', strings: [1, 2, 3] } },
+    { name: 'First position: strings 4 to 6', tempo: 60, settings: { key: 'C', position: 'I', strings: [4, 5, 6] } },
+    { name: 'Naturals in first position', tempo: 70, settings: { key: 'C', position: 'I', difficulty: 'medium' } },
+    { name: 'Naturals with basic rhythms', tempo: 70, settings: { key: 'C', position: 'I', difficulty: 'medium', rhythm: 'basic' } },
+    { name: 'One sharp: G major', tempo: 70, settings: { key: 'G', position: 'I', difficulty: 'medium', rhythm: 'basic' } },
+    { name: 'One flat: F major', tempo: 70, settings: { key: 'F', position: 'I', difficulty: 'medium', rhythm: 'basic' } },
+    { name: 'A minor', tempo: 70, settings: { key: 'Am', position: 'I', difficulty: 'medium', rhythm: 'basic', timeSignature: '3/4' } },
+    { name: 'Two sharps: D major', tempo: 80, settings: { key: 'D', position: 'I', difficulty: 'medium', rhythm: 'basic' } },
+    { name: 'Second position', tempo: 70, settings: { key: 'D', position: 'II', difficulty: 'medium', rhythm: 'basic' } },
+    { name: 'Fifth position', tempo: 70, settings: { key: 'C', position: 'V', difficulty: 'medium', rhythm: 'basic' } },
+    { name: 'Seventh position', tempo: 70, settings: { key: 'G', position: 'VII', difficulty: 'medium', rhythm: 'basic' } },
+    { name: 'Leaps and syncopation', tempo: 80, settings: { key: 'C', position: 'I', difficulty: 'hard', rhythm: 'advanced' }, pass: { accuracy: 0.85 } }
+];
+
+export class Curriculum {
+    constructor(eventBus, storage = globalThis.localStorage, levels = CURRICULUM, storageKey = 'classicalGuitar.curriculum') {
+        this.eventBus = eventBus;
+        this.storage = storage;
+        this.levels = levels;
+        this.storageKey = storageKey;
+        this.state = this.load();
+        this.tempo = 100;
+        this.lessonId = null;  // Id of the last exercise generated from the current level's settings
+        this.lessonLoaded = false;  // Whether it is the pattern being played
+
+        this.eventBus.on('tempoChanged', (tempo) => {
+            this.tempo = tempo;
+        });
+
+        this.eventBus.on('exerciseGenerated', ({ pattern, settings }) => {
+            this.lessonId = this.isLesson(settings) ? pattern.id : null;
+        });
+
+        // The lesson comes back as a copy after a redo or a change of tuning, so it is known by its id
+        this.eventBus.on('patternGenerated', (pattern) => {
+            this.lessonLoaded = !!pattern.id && pattern.id === this.lessonId;
+        });
+
+        this.eventBus.on('passCompleted', (summary) => {
+            this.recordPass(summary);
+        });
+    }
+
+    load() {
+        const fresh = { enabled: false, level: 0, unlocked: 0, passes: {} };
+        try {
+            const saved = JSON.parse(this.storage.getItem(this.storageKey));
+            if (!saved) return fresh;
+            // Levels may have been removed since the state was saved
+            const lastLevel = this.levels.length - 1;
+            const unlocked = Math.min(saved.unlocked || 0, lastLevel);
+            return {
+                ...fresh,
+                ...saved,
+                unlocked,
+                level: Math.min(saved.level || 0, unlocked)
+            };
+        } catch (error) {
+            this.eventBus.emit('storageFailed', { message: 'Could not read curriculum progress', error });
+            return fresh;
+        }
+    }
+
+    save() {
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.state));
+        } catch (error) {
+            this.eventBus.emit('storageFailed', { message: 'Could not save curriculum progress', error });
+        }
+        this.eventBus.emit('curriculumChanged', this.state);
+    }
+
+    getLevel(index = this.state.level) {
+        const level = this.levels[index];
+        return {
+            ...level,
+            settings: { ...CURRICULUM_DEFAULTS, ...level.settings },
+            pass: { accuracy: 0.9, passes: 3, ...level.pass }
+        };
+    }
+
+    isUnlocked(index) {
+        return index <= this.state.unlocked;
+    }
+
+    setEnabled(enabled) {
+        this.state.enabled = enabled;
+        this.save();
+        if (enabled) this.apply();
+    }
+
+    // Returns false for a level that is still locked
+    selectLevel(index) {
+        if (!this.isUnlocked(index)) return false;
+        this.state.level = index;
+        this.save();
+        this.apply();
+        return true;
+    }
+
+    // Hand the level's settings to the generator and its tempo to the slider. The pattern already
+    // loaded isn't this level's lesson; the next one generated is.
+    apply() {
+        const level = this.getLevel();
+        this.lessonId = null;
+        this.lessonLoaded = false;
+        this.eventBus.emit('generatorSettingsChanged', level.settings);
+        this.eventBus.emit('tempoChanged', level.tempo);
+    }
+
+    // Whether generator settings are the ones the current level asks for
+    isLesson(settings) {
+        const levelSettings = this.getLevel().settings;
+        return Object.keys(levelSettings).every(key =>
+            JSON.stringify(settings[key]) === JSON.stringify(levelSettings[key]));
+    }
+
+    recordPass(summary) {
+        if (!this.state.enabled || !this.lessonLoaded) return;
+        const index = this.state.level;
+        const level = this.getLevel();
+        // Playing slower than the level asks for is practice, but it doesn't count toward passing
+        if (this.tempo < level.tempo) return;
+
+        const passes = (this.state.passes[index] || []).concat(summary.accuracy).slice(-level.pass.passes);
+        this.state.passes[index] = passes;
+        const passed = this.getProgress().passed;
+        if (passed && index === this.state.unlocked && index < this.levels.length - 1) {
+            this.state.unlocked = index + 1;
+            this.state.level = index + 1;
+            this.save();
+            this.apply();
+            this.eventBus.emit('levelUnlocked', { level: index + 1, name: this.levels[index + 1].name });
+            return;
+        }
+        this.save();
+    }
+
+    // { passes, needed, average, passed } for the current level
+    getProgress() {
+        const level = this.getLevel();
+        const passes = this.state.passes[this.state.level] || [];
+        const average = passes.length > 0 ? passes.reduce((sum, accuracy) => sum + accuracy, 0) / passes.length : 0;
+        return {
+            passes: passes.length,
+            needed: level.pass.passes,
+            average,
+            passed: passes.length >= level.pass.passes && average >= level.pass.accuracy
+        };
+    }
+}
@@ -0,0 +1,70 @@
+// Expression
+// Dynamics, articulations and right-hand techniques marked on pattern notes, and how they sound.
+// A dynamic holds until the next one; a hairpin runs from its note to the next dynamic, or two
+// levels on by the end of the pattern. A technique holds for its voice until another is marked.
+export const DYNAMICS = { pp: 0.3, p: 0.42, mp: 0.55, mf: 0.68, f: 0.82, ff: 0.95 };  // Sampler velocity
+export const DEFAULT_DYNAMIC = 'mf';
+export const HAIRPINS = ['cresc', 'dim'];
+
+// How each articulation scales the velocity and the sounding length
+export const ARTICULATIONS = {
+    staccato: { velocity: 1, length: 0.4 },
+    accent: { velocity: 1.3, length: 1 }
+};
+// A note slurred into is sounded by the left hand alone, so it speaks more softly
+export const SLUR_VELOCITY = 0.7;
+
+// Right-hand techniques: velocity and length scale, and the tone filter cutoff in Hz.
+// Rest strokes are fuller and rounder than free strokes; pizzicato is muted by the palm.
+export const TECHNIQUES = {
+    free: { label: 'tir.', velocity: 1, length: 1, cutoff: 12000 },
+    rest: { label: 'apoy.', velocity: 1.15, length: 1, cutoff: 6000 },
+    harmonic: { label: 'harm.', velocity: 0.6, length: 2, cutoff: 3000 },
+    pizzicato: { label: 'pizz.', velocity: 0.9, length: 0.3, cutoff: 900 }
+};
+
+// Work out each note's expression ({ velocity, length, cutoff }) from the markings,
+// and link slurs and hairpins to where they end
+export function assignExpression(notes) {
+    const timeline = [...notes].sort((a, b) => a.beat - b.beat);
+    const marks = timeline.filter(note => note.dynamic);
+    const endBeat = timeline.reduce((end, note) => Math.max(end, note.beat + note.beats), 0);
+    const levels = Object.keys(DYNAMICS);
+    const dynamicAt = (beat) => marks.reduce((level, mark) => mark.beat <= beat + 1e-9 ? mark.dynamic : level, DEFAULT_DYNAMIC);
+
+    const hairpins = timeline.filter(note => note.hairpin).map(start => {
+        const target = marks.find(mark => mark.beat > start.beat + 1e-9);
+        const from = dynamicAt(start.beat);
+        const step = start.hairpin === 'cresc' ? 2 : -2;
+        const to = target ? target.dynamic : levels[Math.max(0, Math.min(levels.indexOf(from) + step, levels.length - 1))];
+        start.hairpinEndBeat = target ? target.beat : endBeat;
+        return { start: start.beat, end: start.hairpinEndBeat, from: DYNAMICS[from], to: DYNAMICS[to] };
+    });
+
+    const voiceTechniques = {};
+    timeline.forEach(note => {
+        const previousTechnique = voiceTechniques[note.voice] || 'free';
+        const technique = note.technique || previousTechnique;
+        note.showTechnique = !!note.technique && note.technique !== previousTechnique;
+        voiceTechniques[note.voice] = technique;
+
+        const hairpin = hairpins.find(({ start, end }) => note.beat >= start - 1e-9 && note.beat < end - 1e-9);
+        let velocity = hairpin
+            ? hairpin.from + (hairpin.to - hairpin.from) * (note.beat - hairpin.start) / (hairpin.end - hairpin.start)
+            : DYNAMICS[dynamicAt(note.beat)];
+        let length = TECHNIQUES[technique].length;
+        note.articulations.forEach(name => {
+            velocity *= ARTICULATIONS[name].velocity;
+            length *= ARTICULATIONS[name].length;
+        });
+        velocity *= TECHNIQUES[technique].velocity;
+        if (note.slurredFrom) velocity *= SLUR_VELOCITY;
+
+        note.expression = {
+            velocity: Math.min(1, velocity),
+            length,
+            technique,
+            cutoff: TECHNIQUES[technique].cutoff
+        };
+    });
+}
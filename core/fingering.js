@@ -0,0 +1,240 @@
+import { pitchToMidi } from './pitch.js';
+import { guitar, findLocations } from './guitar.js';
+import { durationToBeats, getNoteOnsets, findTieSource } from './rhythm.js';
+
+// Fingering Solver
+// Chooses string, fret and left-hand finger for a line of notes by dynamic programming over
+// (location, hand position) states, minimising shifts, stretches and leaving the requested frets.
+// Fret height counts for more than string distance: a student reads low on the neck first.
+
+// Frets the hand keeps to when no range is asked for: first position, with a fret to stretch to
+export const LOW_POSITION_RANGE = { minFret: 0, maxFret: 5 };
+
+export class FingeringSolver {
+    constructor({ shiftCost = 2, stretchCost = 2, rangeCost = 5, stringCrossingCost = 0.3, fretCost = 0.2 } = {}) {
+        this.shiftCost = shiftCost;
+        this.stretchCost = stretchCost;
+        this.rangeCost = rangeCost;
+        this.stringCrossingCost = stringCrossingCost;
+        this.fretCost = fretCost;
+    }
+
+    // Highest index-finger fret; a capo shortens the neck
+    get maxPosition() {
+        return guitar.getMaxFret() - 3;
+    }
+
+    // Every way to play a note; a position is the fret under the index finger.
+    // A given string and fret only count if they play the pitch on this tuning.
+    getCandidates(note) {
+        const given = note.string !== undefined && note.fret !== undefined &&
+            guitar.getOpenPitch(note.string) !== undefined && note.fret <= guitar.getMaxFret() &&
+            guitar.getWrittenMidi(note.string, note.fret) === pitchToMidi(note.pitch);
+        const locations = given
+            ? [{ string: note.string, fret: note.fret }]
+            : findLocations(note.pitch);
+        const candidates = [];
+
+        locations.forEach(({ string, fret }) => {
+            if (fret === 0) {
+                // Open strings leave the hand wherever it is
+                for (let position = 1; position <= this.maxPosition; position++) {
+                    candidates.push({ string, fret, finger: 0, position, stretch: false });
+                }
+                return;
+            }
+            // One fret either side of the four-finger span is reachable with a stretch
+            for (let position = Math.max(1, fret - 4); position <= Math.min(fret + 1, this.maxPosition); position++) {
+                const offset = fret - position;
+                candidates.push({
+                    string,
+                    fret,
+                    finger: Math.min(Math.max(offset + 1, 1), 4),
+                    position,
+                    stretch: offset < 0 || offset > 3
+                });
+            }
+        });
+        return candidates;
+    }
+
+    getNoteCost(candidate, range) {
+        let cost = candidate.fret * this.fretCost;
+        if (candidate.stretch) cost += this.stretchCost;
+        if (range) {
+            if (candidate.fret > 0) {
+                cost += this.rangeCost * (Math.max(0, range.minFret - candidate.fret) +
+                    Math.max(0, candidate.fret - range.maxFret));
+            }
+            // Keep the hand parked at the requested position
+            cost += Math.abs(candidate.position - Math.max(1, range.minFret)) * 0.5;
+        }
+        return cost;
+    }
+
+    getMoveCost(from, to) {
+        // Crossing strings only moves the left hand between stopped notes; an open string needs no finger
+        let cost = from.fret > 0 && to.fret > 0 ? Math.abs(from.string - to.string) * this.stringCrossingCost : 0;
+        if (from.position !== to.position) {
+            cost += this.shiftCost + Math.abs(from.position - to.position) * 0.5;
+        }
+        // The same finger on a new fret or string has to hop or slide
+        if (from.finger > 0 && from.finger === to.finger && (from.fret !== to.fret || from.string !== to.string)) {
+            cost += 1.5;
+        }
+        return cost;
+    }
+
+    // Ways to finger notes that start together, one per hand position: every note on its own string,
+    // and a finger only holding down one fret (several strings at one fret make a barre).
+    // A single note keeps all its candidates.
+    getShapes(notes, range) {
+        const options = notes.map(note => this.getCandidates(note));
+        if (notes.length === 1) {
+            return options[0].map(candidate => ({
+                position: candidate.position,
+                members: [candidate],
+                cost: this.getNoteCost(candidate, range)
+            }));
+        }
+
+        const shapes = [];
+        for (let position = 1; position <= this.maxPosition; position++) {
+            let best = null;
+            const chosen = [];
+            const search = (i, cost) => {
+                if (best && cost >= best.cost) return;
+                if (i === notes.length) {
+                    best = { position, members: [...chosen], cost };
+                    return;
+                }
+                options[i].forEach(candidate => {
+                    if (candidate.position !== position) return;
+                    if (chosen.some(other => other.string === candidate.string)) return;
+                    if (candidate.finger > 0 &&
+                        chosen.some(other => other.finger === candidate.finger && other.fret !== candidate.fret)) return;
+                    chosen.push(candidate);
+                    search(i + 1, cost + this.getNoteCost(candidate, range));
+                    chosen.pop();
+                });
+            };
+            search(0, 0);
+            if (best) shapes.push(best);
+        }
+        return shapes;
+    }
+
+    // held lists notes still ringing from earlier shapes: their strings are taken and their fingers stay down
+    getShapeMoveCost(from, to, held) {
+        let cost = this.getMoveCost(from.members[0], to.members[0]);
+        to.members.forEach((candidate, i) => {
+            from.members.forEach((previous, j) => {
+                if (i === 0 && j === 0) return;
+                if (candidate.finger > 0 && previous.finger === candidate.finger &&
+                    (previous.fret !== candidate.fret || previous.string !== candidate.string)) {
+                    cost += 1.5;
+                }
+            });
+        });
+        for (const note of held) {
+            if (to.members.some(candidate => candidate.string === note.string)) return Infinity;
+            // Shifting would cut off a stopped note that is still sounding
+            if (note.fret > 0 && to.position !== from.position) cost += this.shiftCost * 3;
+        }
+        return cost;
+    }
+
+    // Returns { notes, unplayable }: copies of the notes with string, fret, finger and position filled in,
+    // and the pitches that cannot be played at all. range is { minFret, maxFret }; without one the hand
+    // stays in LOW_POSITION_RANGE, leaving it only for notes that can't be played there.
+    // Notes that start together (chords, or several voices) are fingered as one hand shape.
+    solve(notes, range = null) {
+        range = range || LOW_POSITION_RANGE;
+        const result = notes.map(note => ({ ...note }));
+        const onsets = getNoteOnsets(result);
+        const unplayable = [];
+        const tiedFrom = new Map();  // Tied continuation index -> index of the note it extends
+        const ringsUntil = new Map();  // Index -> beat where the note (with its ties) stops sounding
+        const groups = new Map();  // Onset -> indices of the notes starting there
+
+        result.forEach((note, index) => {
+            if (note.pitch === 'rest') return;
+            // Tied continuations are not re-fingered
+            const source = findTieSource(result, onsets, index);
+            if (source >= 0) {
+                tiedFrom.set(index, source);
+                let root = source;
+                while (tiedFrom.has(root)) root = tiedFrom.get(root);
+                ringsUntil.set(root, onsets[index] + durationToBeats(note.duration || '4n'));
+                return;
+            }
+            if (this.getCandidates(note).length === 0) {
+                unplayable.push(note.pitch);
+                return;
+            }
+            ringsUntil.set(index, onsets[index] + durationToBeats(note.duration || '4n'));
+            if (!groups.has(onsets[index])) groups.set(onsets[index], []);
+            groups.get(onsets[index]).push(index);
+        });
+
+        const layers = [];  // { indices, shapes, costs, back, held }
+        [...groups.keys()].sort((a, b) => a - b).forEach(onset => {
+            const indices = groups.get(onset);
+            const shapes = this.getShapes(indices.map(index => result[index]), range);
+            if (shapes.length === 0) {
+                indices.forEach(index => unplayable.push(result[index].pitch));
+                return;
+            }
+
+            const last = layers[layers.length - 1];
+            const costs = [];
+            const back = [];
+            const held = [];
+            shapes.forEach((shape, j) => {
+                let best = 0;
+                let bestIndex = -1;
+                if (last) {
+                    best = Infinity;
+                    last.shapes.forEach((from, k) => {
+                        const ringing = last.held[k].filter(note => note.until > onset + 1e-9);
+                        const total = last.costs[k] + this.getShapeMoveCost(from, shape, ringing);
+                        if (total < best || bestIndex < 0) {
+                            best = total;
+                            bestIndex = k;
+                        }
+                    });
+                }
+                costs[j] = best + shape.cost;
+                back[j] = bestIndex;
+                const carried = bestIndex >= 0
+                    ? last.held[bestIndex].filter(note => note.until > onset + 1e-9)
+                    : [];
+                held[j] = carried.concat(shape.members.map((candidate, m) => ({
+                    ...candidate,
+                    until: ringsUntil.get(indices[m])
+                })));
+            });
+            layers.push({ indices, shapes, costs, back, held });
+        });
+
+        // Walk back from the cheapest final state
+        if (layers.length > 0) {
+            const lastLayer = layers[layers.length - 1];
+            let choice = lastLayer.costs.indexOf(Math.min(...lastLayer.costs));
+            for (let i = layers.length - 1; i >= 0; i--) {
+                layers[i].shapes[choice].members.forEach(({ string, fret, finger, position }, m) => {
+                    Object.assign(result[layers[i].indices[m]], { string, fret, finger, position });
+                });
+                choice = layers[i].back[choice];
+            }
+        }
+
+        // Tied continuations keep the fingering of the note they extend
+        tiedFrom.forEach((source, index) => {
+            const { string, fret, finger, position } = result[source];
+            Object.assign(result[index], { string, fret, finger, position });
+        });
+
+        return { notes: result, unplayable };
+    }
+}
@@ -0,0 +1,345 @@
+import { buildScale } from './pitch.js';
+import { POSITIONS, findScaleLocations } from './guitar.js';
+import { RHYTHM_LEVELS, beatsToDurations, parseTimeSignature, getMeasureBeats } from './rhythm.js';
+import { FingeringSolver } from './fingering.js';
+import { SeededRandom } from './random.js';
+import { AdaptiveScheduler } from './adaptive-scheduler.js';
+
+// Pattern Generator
+// Exercises made up from the generator settings, or picked from the presets or the teacher's library
+
+// How far the melody may move between consecutive notes
+export const DIFFICULTIES = {
+    easy: { maxInterval: 1, maxStringCrossing: 1 },    // Stepwise, neighbouring strings
+    medium: { maxInterval: 2, maxStringCrossing: 2 },  // Steps and thirds
+    hard: { maxInterval: 5, maxStringCrossing: 5 }     // Leaps up to a sixth, any string
+};
+
+export class PatternGenerator {
+    constructor(eventBus, seed = Date.now()) {
+        this.eventBus = eventBus;
+        this.rng = new SeededRandom(seed);
+        this.scheduler = new AdaptiveScheduler();
+        this.fingeringSolver = new FingeringSolver();
+        this.settings = {
+            source: 'generated',  // 'generated', 'presets' or 'library'
+            key: 'C',
+            position: 'I',
+            strings: [1, 2, 3, 4, 5, 6],
+            length: 8,
+            difficulty: 'easy',
+            timeSignature: '4/4',
+            rhythm: 'quarters',
+            adaptive: false
+        };
+
+        this.eventBus.on('generatorSettingsChanged', (settings) => {
+            this.settings = { ...this.settings, ...settings };
+        });
+
+        this.eventBus.on('historyUpdated', (sessions) => {
+            this.scheduler.buildFromHistory(sessions);
+        });
+
+        this.exerciseCount = 0;  // Numbers the exercises, so copies of one (e.g. refingered) can be told apart from others
+
+        this.libraryPatterns = [];  // The teacher's saved exercises
+        this.eventBus.on('libraryChanged', (patterns) => {
+            this.libraryPatterns = patterns;
+        });
+
+        // Built-in exercises are plain pitches; the solver fingers them for their position and the tuning.
+        // chord: true sounds with the note before; voice 2 is the lower, stems-down part.
+        this.patterns = [
+            {
+                name: 'All open strings',
+                position: 'I',
+                timeSignature: [4, 4],
+                notes: [
+                    { pitch: 'E5', duration: '4n' },
+                    { pitch: 'B4', duration: '4n' },
+                    { pitch: 'G4', duration: '4n' },
+                    { pitch: 'D4', duration: '4n' },
+                    { pitch: 'A3', duration: '4n' },
+                    { pitch: 'E3', duration: '4n' },
+                    { pitch: 'rest', duration: '2n' }
+                ]
+            },
+            {
+                // Arpeggio over a held bass, then the same chord struck at once
+                name: 'C chord (first position)',
+                position: 'I',
+                timeSignature: [4, 4],
+                notes: [
+                    { pitch: 'rest', duration: '8n' },
+                    { pitch: 'G4', duration: '8n' },
+                    { pitch: 'C5', duration: '8n' },
+                    { pitch: 'E5', duration: '8n' },
+                    { pitch: 'C5', duration: '8n' },
+                    { pitch: 'G4', duration: '8n' },
+                    { pitch: 'C5', duration: '8n' },
+                    { pitch: 'E5', duration: '8n' },
+                    { pitch: 'C4', duration: '1n' },
+                    { pitch: 'E4', duration: '1n', chord: true },
+                    { pitch: 'G4', duration: '1n', chord: true },
+                    { pitch: 'C5', duration: '1n', chord: true },
+                    { pitch: 'E5', duration: '1n', chord: true },
+                    { pitch: 'C4', duration: '1n', voice: 2 }
+                ]
+            },
+            {
+                name: 'G chord (first position)',
+                position: 'I',
+                timeSignature: [3, 4],
+                notes: [
+                    { pitch: 'rest', duration: '4n' },
+                    { pitch: 'G4', duration: '4n' },
+                    { pitch: 'B4', duration: '4n', chord: true },
+                    { pitch: 'G4', duration: '4n' },
+                    { pitch: 'B4', duration: '4n', chord: true },
+                    { pitch: 'G3', duration: '2n.' },
+                    { pitch: 'B3', duration: '2n.', chord: true },
+                    { pitch: 'D4', duration: '2n.', chord: true },
+                    { pitch: 'G4', duration: '2n.', chord: true },
+                    { pitch: 'B4', duration: '2n.', chord: true },
+                    { pitch: 'G5', duration: '2n.', chord: true },
+                    { pitch: 'G3', duration: '2n.', voice: 2 }
+                ]
+            },
+            {
+                name: 'Two voices: melody over bass',
+                position: 'I',
+                timeSignature: [4, 4],
+                notes: [
+                    { pitch: 'E5', duration: '4n' },
+                    { pitch: 'D5', duration: '4n' },
+                    { pitch: 'C5', duration: '4n' },
+                    { pitch: 'B4', duration: '4n' },
+                    { pitch: 'C5', duration: '2n' },
+                    { pitch: 'rest', duration: '2n' },
+                    { pitch: 'C4', duration: '2n', voice: 2 },
+                    { pitch: 'G3', duration: '2n', voice: 2 },
+                    { pitch: 'C4', duration: '2n', voice: 2 },
+                    { pitch: 'rest', duration: '2n', voice: 2 }
+                ]
+            },
+            {
+                // A crescendo into an accented rest stroke, staccato and slurs, then a quiet pizzicato close
+                name: 'Expressive phrase',
+                position: 'I',
+                timeSignature: [4, 4],
+                notes: [
+                    { pitch: 'C5', duration: '4n', dynamic: 'p', hairpin: 'cresc' },
+                    { pitch: 'D5', duration: '4n' },
+                    { pitch: 'E5', duration: '4n', slur: true },
+                    { pitch: 'F5', duration: '4n' },
+                    { pitch: 'G5', duration: '4n', dynamic: 'f', articulations: ['accent'], technique: 'rest' },
+                    { pitch: 'E5', duration: '8n', articulations: ['staccato'], technique: 'free' },
+                    { pitch: 'C5', duration: '8n', articulations: ['staccato'] },
+                    { pitch: 'D5', duration: '4n', hairpin: 'dim', slur: true },
+                    { pitch: 'B4', duration: '4n' },
+                    { pitch: 'C5', duration: '4n', dynamic: 'p', technique: 'pizzicato' },
+                    { pitch: 'G4', duration: '4n' },
+                    { pitch: 'C5', duration: '2n' }
+                ]
+            },
+            {
+                // Open strings for the student while the teacher plays the harmony underneath
+                name: 'Duet: open strings with teacher',
+                position: 'open',
+                timeSignature: [4, 4],
+                notes: [
+                    { pitch: 'E5', duration: '2n' },
+                    { pitch: 'B4', duration: '2n' },
+                    { pitch: 'G4', duration: '2n' },
+                    { pitch: 'B4', duration: '2n' },
+                    { pitch: 'E5', duration: '2n' },
+                    { pitch: 'B4', duration: '2n' },
+                    { pitch: 'E5', duration: '1n' }
+                ],
+                parts: [
+                    {
+                        name: 'Teacher',
+                        volume: -4,
+                        pan: 0.4,
+                        notes: [
+                            { pitch: 'E3', duration: '4n' },
+                            { pitch: 'G3', duration: '4n' },
+                            { pitch: 'B3', duration: '4n' },
+                            { pitch: 'G3', duration: '4n' },
+                            { pitch: 'G3', duration: '4n' },
+                            { pitch: 'B3', duration: '4n' },
+                            { pitch: 'D4', duration: '4n' },
+                            { pitch: 'B3', duration: '4n' },
+                            { pitch: 'E3', duration: '4n' },
+                            { pitch: 'G3', duration: '4n' },
+                            { pitch: 'B3', duration: '4n' },
+                            { pitch: 'G3', duration: '4n' },
+                            { pitch: 'E3', duration: '1n' },
+                            { pitch: 'B3', duration: '1n', chord: true },
+                            { pitch: 'G4', duration: '1n', chord: true }
+                        ]
+                    }
+                ]
+            },
+            {
+                name: 'First position scale fragment',
+                position: 'I',
+                timeSignature: [4, 4],
+                notes: [
+                    { pitch: 'E5', duration: '8n' },
+                    { pitch: 'F5', duration: '8n' },
+                    { pitch: 'G5', duration: '4n.' },
+                    { pitch: 'B4', duration: '8n', tie: true },
+                    { pitch: 'B4', duration: '4n' },
+                    { pitch: 'C5', duration: '2n' },
+                    { pitch: 'rest', duration: '2n' }
+                ]
+            }
+        ];
+    }
+
+    fingerPattern(pattern) {
+        const { notes } = this.fingeringSolver.solve(pattern.notes, POSITIONS[pattern.position] || null);
+        return { ...pattern, notes };
+    }
+
+    // Returns why a preset was played instead of what the settings asked for, or null
+    generateNewPattern() {
+        let pattern;
+        let fallback = null;
+        if (this.settings.source === 'library' && this.libraryPatterns.length > 0) {
+            pattern = this.fingerPattern(this.rng.pick(this.libraryPatterns));
+        } else if (this.settings.source === 'presets' || this.settings.source === 'library') {
+            // An empty library falls back to the built-in exercises
+            pattern = this.fingerPattern(this.rng.pick(this.patterns));
+        } else {
+            ({ pattern, fallback } = this.generateExercise(this.settings));
+            // Says which settings made it, e.g. so the curriculum knows its lesson from other patterns
+            if (!fallback) this.eventBus.emit('exerciseGenerated', { pattern, settings: this.settings });
+        }
+        this.eventBus.emit('patternGenerated', pattern);
+        return fallback;
+    }
+
+    // Returns { pattern, fallback }: a preset stands in, with the reason in fallback, when nothing fits the settings
+    generateExercise(settings) {
+        const melody = this.generateMelody(settings);
+        if (!melody) {
+            return {
+                pattern: this.fingerPattern(this.rng.pick(this.patterns)),
+                fallback: 'No playable notes for these settings, so a preset was chosen instead'
+            };
+        }
+        const timeSignature = parseTimeSignature(settings.timeSignature);
+        const pattern = this.fingerPattern({
+            id: `exercise-${++this.exerciseCount}`,
+            name: `${settings.key} position ${settings.position}`,
+            key: settings.key,
+            position: settings.position,
+            timeSignature,
+            notes: this.applyRhythm(melody, timeSignature, settings.rhythm)
+        });
+        return { pattern, fallback: null };
+    }
+
+    generateMelody(settings) {
+        const scale = buildScale(settings.key);
+        const { minFret, maxFret } = POSITIONS[settings.position] || POSITIONS['I'];
+        const difficulty = DIFFICULTIES[settings.difficulty] || DIFFICULTIES.easy;
+        const locations = findScaleLocations(scale, settings.strings, minFret, maxFret);
+        if (locations.length === 0) return null;
+
+        // Scale steps are counted along the ladder of distinct pitches in range
+        const ladder = [...new Set(locations.map(l => l.midi))].sort((a, b) => a - b);
+        const stepOf = (location) => ladder.indexOf(location.midi);
+
+        // Adaptive practice leans every choice toward what the player keeps missing
+        const weightOf = (location, previous) => settings.adaptive
+            ? this.scheduler.getWeight(location, previous)
+            : 1;
+
+        // Start on the tonic when it is available
+        const tonics = locations.filter(l => l.degree === 0);
+        let current = this.rng.weightedPick(tonics.length > 0 ? tonics : locations, l => weightOf(l, null));
+        const melody = [current];
+
+        for (let i = 1; i < settings.length; i++) {
+            let options = locations.filter(l => {
+                const interval = Math.abs(stepOf(l) - stepOf(current));
+                return interval >= 1 && interval <= difficulty.maxInterval &&
+                    Math.abs(l.string - current.string) <= difficulty.maxStringCrossing;
+            });
+            // Narrow string sets can leave no legal move; allow any other pitch then
+            if (options.length === 0) {
+                options = locations.filter(l => l.midi !== current.midi);
+            }
+            if (options.length === 0) {
+                options = locations;
+            }
+            // Resolve the final note to the tonic when we can
+            if (i === settings.length - 1) {
+                const endings = options.filter(l => l.degree === 0);
+                if (endings.length > 0) options = endings;
+            }
+            const previous = current;
+            current = this.rng.weightedPick(options, l => weightOf(l, previous));
+            melody.push(current);
+        }
+
+        return melody.map(({ pitch, fret, string }) => ({ pitch, fret, string }));
+    }
+
+    // Lay the melody out in bars of rhythm cells, then close the last bar with rests
+    applyRhythm(melody, timeSignature, rhythmName) {
+        const rhythm = RHYTHM_LEVELS[rhythmName] || RHYTHM_LEVELS.quarters;
+        const compound = timeSignature[1] === 8 && timeSignature[0] % 3 === 0;
+        const cells = compound ? rhythm.compound : rhythm.simple;
+        const measureBeats = getMeasureBeats(timeSignature);
+        const notes = [];
+        let remaining = measureBeats;
+        let index = 0;
+
+        const place = (noteData, beats) => {
+            // Values that do not fit the rest of the bar are tied over the bar line
+            let left = beats;
+            while (left > 0) {
+                const part = Math.min(left, remaining);
+                const pieces = beatsToDurations(part);
+                pieces.forEach((duration, i) => {
+                    const last = left - part === 0 && i === pieces.length - 1;
+                    notes.push({ ...noteData, duration, ...(noteData.pitch !== 'rest' && !last ? { tie: true } : {}) });
+                });
+                left -= part;
+                remaining -= part;
+                if (remaining === 0) remaining = measureBeats;
+            }
+        };
+
+        while (index < melody.length) {
+            const notesLeft = melody.length - index;
+            let options = cells.filter(cell => cell.length <= notesLeft &&
+                cell.reduce((sum, beats) => sum + beats, 0) <= remaining);
+            if (options.length === 0) {
+                // Nothing fits: hold a single note into the next bar
+                options = [[Math.min(1, remaining)]];
+                if (this.rng.next() < rhythm.tieChance) options = [[remaining + Math.min(1, measureBeats)]];
+            }
+
+            this.rng.pick(options).forEach(beats => {
+                if (index > 0 && this.rng.next() < rhythm.restChance) {
+                    place({ pitch: 'rest' }, beats);
+                } else if (index < melody.length) {
+                    place(melody[index++], beats);
+                } else {
+                    place({ pitch: 'rest' }, beats);
+                }
+            });
+        }
+
+        if (remaining < measureBeats) {
+            beatsToDurations(remaining).forEach(duration => notes.push({ pitch: 'rest', duration }));
+        }
+        return notes;
+    }
+}
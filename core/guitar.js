@@ -0,0 +1,121 @@
+import { pitchToMidi, midiToPitch, spellPitch } from './pitch.js';
+
+// Guitar
+// The instrument being practised, and where a written pitch lies on its neck
+export const MAX_FRET = 19;
+
+// Written pitch of each open string (guitar music is written an octave above sounding pitch)
+export const GUITAR_STRINGS = {
+    1: 'E5',  // High E
+    2: 'B4',
+    3: 'G4',
+    4: 'D4',
+    5: 'A3',
+    6: 'E3'   // Low E
+};
+export const GUITAR_TRANSPOSITION = -12;  // Semitones from written to sounding pitch
+
+// Scordatura is written as played: a retuned string keeps its frets and reads at its new pitch
+export const TUNINGS = {
+    standard: { name: 'Standard', strings: GUITAR_STRINGS },
+    dropD: { name: 'Drop D', strings: { ...GUITAR_STRINGS, 6: 'D3' } },
+    openG: { name: 'Open G', strings: { 1: 'D5', 2: 'B4', 3: 'G4', 4: 'D4', 5: 'G3', 6: 'D3' } },
+    dadgad: { name: 'DADGAD', strings: { 1: 'D5', 2: 'A4', 3: 'G4', 4: 'D4', 5: 'A3', 6: 'D3' } }
+};
+export const MAX_CAPO = 7;
+
+// Tuning and capo of the instrument being practised. Patterns hold written pitches with frets counted
+// from the capo, as in a part marked "Capo II"; the sampler and the pitch inputs deal in sounding pitch.
+export class Guitar {
+    constructor() {
+        this.tuning = 'standard';
+        this.capo = 0;
+    }
+
+    configure({ tuning = this.tuning, capo = this.capo }) {
+        this.tuning = TUNINGS[tuning] ? tuning : 'standard';
+        this.capo = Math.max(0, Math.min(capo, MAX_CAPO));
+    }
+
+    getOpenPitch(string) {
+        return TUNINGS[this.tuning].strings[string];
+    }
+
+    // [string, written open pitch] pairs, 1st string first
+    getStrings() {
+        return Object.entries(TUNINGS[this.tuning].strings).map(([string, pitch]) => [Number(string), pitch]);
+    }
+
+    // Highest fret above the capo
+    getMaxFret() {
+        return MAX_FRET - this.capo;
+    }
+
+    getWrittenMidi(string, fret) {
+        return pitchToMidi(this.getOpenPitch(string)) + fret;
+    }
+
+    getSoundingMidi(string, fret) {
+        return this.getWrittenMidi(string, fret) + GUITAR_TRANSPOSITION + this.capo;
+    }
+
+    toSoundingMidi(pitch) {
+        return pitchToMidi(pitch) + GUITAR_TRANSPOSITION + this.capo;
+    }
+
+    // Rests have nothing to transpose and stay rests
+    toSounding(pitch) {
+        if (pitch === 'rest') return pitch;
+        return midiToPitch(this.toSoundingMidi(pitch));
+    }
+
+    // Heard or played MIDI note back to where the staff writes it
+    toWrittenMidi(soundingMidi) {
+        return soundingMidi - GUITAR_TRANSPOSITION - this.capo;
+    }
+}
+
+export const guitar = new Guitar();
+
+// Left-hand positions: the frets reachable without shifting
+export const POSITIONS = {
+    'open': { minFret: 0, maxFret: 0 },  // Open strings only, before the left hand is used
+    'I': { minFret: 0, maxFret: 4 },   // First position includes the open strings
+    'II': { minFret: 2, maxFret: 5 },
+    'V': { minFret: 5, maxFret: 8 },
+    'VII': { minFret: 7, maxFret: 10 }
+};
+
+// Every string/fret where a written pitch can be played, lowest fret first
+export function findLocations(pitch, minFret = 0, maxFret = guitar.getMaxFret()) {
+    const midi = pitchToMidi(pitch);
+    const locations = [];
+    guitar.getStrings().forEach(([string, openPitch]) => {
+        const fret = midi - pitchToMidi(openPitch);
+        if (fret >= minFret && fret <= Math.min(maxFret, guitar.getMaxFret())) {
+            locations.push({ string, fret });
+        }
+    });
+    return locations.sort((a, b) => a.fret - b.fret);
+}
+
+// Every string/fret location in the given range whose pitch belongs to the scale
+export function findScaleLocations(scale, strings, minFret, maxFret) {
+    const locations = [];
+    strings.forEach(string => {
+        const openMidi = pitchToMidi(guitar.getOpenPitch(string));
+        for (let fret = minFret; fret <= Math.min(maxFret, guitar.getMaxFret()); fret++) {
+            const midi = openMidi + fret;
+            const step = scale.find(s => s.pc === midi % 12);
+            if (!step) continue;
+            locations.push({
+                pitch: spellPitch(step.letter, step.alter, midi),
+                midi,
+                degree: step.degree,
+                fret,
+                string
+            });
+        }
+    });
+    return locations;
+}
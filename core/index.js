@@ -0,0 +1,28 @@
+// Core
+// The music model with no rendering or audio of its own: pitches and the guitar, patterns and their
+// timing, the player and its grading, scoring, the curriculum, quiz and saved exercises, the commands
+// and the event bus. Front ends plug p5, Tone.js or anything else in through the Player's clock and
+// audio engine and by subclassing Note.
+export * from './events.js';
+export * from './pitch.js';
+export * from './guitar.js';
+export * from './rhythm.js';
+export * from './expression.js';
+export * from './notes.js';
+export * from './fingering.js';
+export * from './random.js';
+export * from './adaptive-scheduler.js';
+export * from './generator.js';
+export * from './pitch-detection.js';
+export * from './player.js';
+export * from './clock.js';
+export * from './scoring.js';
+export * from './schema.js';
+export * from './render-schedule.js';
+export * from './commands.js';
+export * from './shortcuts.js';
+export * from './musicxml.js';
+export * from './progress.js';
+export * from './library.js';
+export * from './curriculum.js';
+export * from './quiz.js';
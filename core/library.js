@@ -0,0 +1,97 @@
+import { PATTERN_SCHEMA, LIBRARY_FORMAT, LIBRARY_SCHEMA, validateSchema } from './schema.js';
+
+// Exercise Library
+// Teachers' own exercises, kept in Web Storage (localStorage in the browser) and shared as JSON files
+// checked against a schema.
+export class PatternLibrary {
+    constructor(eventBus, storage = globalThis.localStorage, storageKey = 'classicalGuitar.library') {
+        this.eventBus = eventBus;
+        this.storage = storage;
+        this.storageKey = storageKey;
+        this.patterns = this.load();
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(this.storage.getItem(this.storageKey));
+            // Anything that no longer matches the schema is dropped rather than breaking the app
+            return Array.isArray(saved) ? saved.filter(pattern => validateSchema(pattern, PATTERN_SCHEMA).length === 0) : [];
+        } catch (error) {
+            this.eventBus.emit('storageFailed', { message: 'Could not read the exercise library', error });
+            return [];
+        }
+    }
+
+    save() {
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.patterns));
+        } catch (error) {
+            this.eventBus.emit('storageFailed', { message: 'Could not save the exercise library', error });
+        }
+        this.eventBus.emit('libraryChanged', this.patterns);
+    }
+
+    find(name) {
+        return this.patterns.find(pattern => pattern.name === name);
+    }
+
+    // Adds the exercise, replacing one of the same name; returns the schema errors, saving nothing if any
+    add(pattern) {
+        const errors = validateSchema(pattern, PATTERN_SCHEMA);
+        if (errors.length > 0) return errors;
+        this.store(pattern);
+        this.save();
+        return [];
+    }
+
+    store(pattern) {
+        const index = this.patterns.findIndex(existing => existing.name === pattern.name);
+        if (index >= 0) {
+            this.patterns[index] = pattern;
+        } else {
+            this.patterns.push(pattern);
+        }
+    }
+
+    remove(name) {
+        this.patterns = this.patterns.filter(pattern => pattern.name !== name);
+        this.save();
+    }
+
+    toJson() {
+        return JSON.stringify({ format: LIBRARY_FORMAT, version: 1, exercises: this.patterns }, null, 2);
+    }
+
+    // Reads a library file (or a single exercise) and adds what it holds.
+    // Returns { added, errors }; throws when the file isn't JSON or isn't an exercise file at all.
+    importJson(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Not a valid JSON file (${error.message})`);
+        }
+        // A lone exercise is accepted as well as a whole library
+        const single = data && typeof data === 'object' && !('format' in data) && 'notes' in data;
+        if (!single) {
+            const problems = validateSchema(data, LIBRARY_SCHEMA, 'file');
+            if (problems.length > 0) throw new Error(`Not an exercise library: ${problems[0]}`);
+        }
+
+        // Valid exercises are kept even when others in the file are not
+        const added = [];
+        const errors = [];
+        (single ? [data] : data.exercises).forEach((pattern, i) => {
+            const label = pattern && typeof pattern.name === 'string' ? `"${pattern.name}"` : `exercise ${i + 1}`;
+            const problems = validateSchema(pattern, PATTERN_SCHEMA, label);
+            if (problems.length > 0) {
+                errors.push(...problems);
+                return;
+            }
+            this.store(pattern);
+            added.push(pattern.name);
+        });
+        if (added.length > 0) this.save();
+        return { added, errors };
+    }
+}
@@ -0,0 +1,519 @@
+import { KEYS, parsePitch, getKeyFifths } from './pitch.js';
+import { durationToBeats, beatsToDurations, getMeasureBeats, normalizePattern } from './rhythm.js';
+import { TECHNIQUES } from './expression.js';
+import { FingeringSolver } from './fingering.js';
+
+// MusicXML Import/Export
+// Reading needs an XML parser: the browser's DOMParser unless one is given, e.g. from a DOM library in Node.
+export const MUSICXML_TYPES = { whole: '1n', half: '2n', quarter: '4n', eighth: '8n', '16th': '16n' };
+
+// Round a length in beats to whole sixteenth notes, the shortest value in a pattern
+function toSixteenths(beats) {
+    return Math.round(beats * 4) / 4;
+}
+
+export class MusicXmlImporter {
+    constructor(parseXml = (xmlText) => new DOMParser().parseFromString(xmlText, 'application/xml')) {
+        this.parseXml = parseXml;  // XML text -> Document
+        this.warnings = new Map();  // Message -> number of times it came up
+    }
+
+    warn(message) {
+        this.warnings.set(message, (this.warnings.get(message) || 0) + 1);
+    }
+
+    getWarnings() {
+        return [...this.warnings].map(([message, count]) => count > 1 ? `${message} (x${count})` : message);
+    }
+
+    // Returns { pattern, warnings }; throws when the file cannot be read as a score at all
+    parse(xmlText, partId = null) {
+        this.warnings = new Map();
+        const doc = this.parseXml(xmlText);
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('Not a valid MusicXML file (the XML could not be parsed)');
+        }
+        const score = doc.documentElement;
+        if (score.nodeName === 'score-timewise') {
+            throw new Error('Timewise MusicXML is not supported; export the score as partwise');
+        }
+        if (score.nodeName !== 'score-partwise') {
+            throw new Error(`Expected a <score-partwise> document, found <${score.nodeName}>`);
+        }
+
+        const parts = [...score.getElementsByTagName('part')];
+        if (parts.length === 0) {
+            throw new Error('The score has no parts');
+        }
+        const part = partId ? parts.find(p => p.getAttribute('id') === partId) : parts[0];
+        if (!part) {
+            throw new Error(`Part "${partId}" was not found`);
+        }
+        if (!partId && parts.length > 1) {
+            this.warn(`Only the first of ${parts.length} parts was imported`);
+        }
+
+        const pattern = {
+            name: this.getTitle(score),
+            key: 'C',
+            timeSignature: [4, 4],
+            notes: []
+        };
+        let divisions = 1;
+        const voices = new Map();  // MusicXML voice -> 1 (upper) or 2 (lower)
+        const voiceBeats = {};  // Where each voice has got to, in beats, going by the <duration>s
+        const written = {};  // Where each voice's written note values have got to
+        const lastDuration = {};  // Value of each voice's last note, for the notes of a chord
+
+        // Rests for a voice, as notes in the pattern
+        const rests = (voice, beats) => beatsToDurations(beats).map(duration =>
+            voice === 1 ? { pitch: 'rest', duration } : { pitch: 'rest', duration, voice });
+
+        // Fill a voice with rests up to a beat, e.g. where it is silent for a bar
+        const padVoice = (voice, beat) => {
+            const gap = toSixteenths(beat) - (written[voice] || 0);
+            if (gap > 1e-9) {
+                pattern.notes.push(...rests(voice, gap));
+                written[voice] = toSixteenths(beat);
+            }
+            voiceBeats[voice] = Math.max(voiceBeats[voice] || 0, beat);
+        };
+
+        // The value for a voice's next note: it runs to the sixteenth nearest where the note really ends,
+        // so tuplets and lengths no one value can hold are rounded without pushing later bars off the bar lines
+        const place = (voice, length) => {
+            voiceBeats[voice] = (voiceBeats[voice] || 0) + length;
+            const span = toSixteenths(voiceBeats[voice]) - (written[voice] || 0);
+            const duration = beatsToDurations(span)[0] || '16n';
+            written[voice] = (written[voice] || 0) + durationToBeats(duration);
+            return duration;
+        };
+
+        // Measures run as long as their notes, so pickups and other short bars don't leave gaps
+        let measureStart = 0;
+        [...part.getElementsByTagName('measure')].forEach((measure, measureIndex) => {
+            const number = measure.getAttribute('number') || measureIndex + 1;
+            let lastVoice = 1;
+            [...measure.children].forEach(element => {
+                switch (element.nodeName) {
+                    case 'attributes':
+                        divisions = this.readAttributes(element, pattern, measureIndex, number) || divisions;
+                        break;
+                    case 'note': {
+                        const voice = this.getVoice(element, voices);
+                        if (voice === null) {
+                            this.warn('Only two voices are supported; the others were skipped');
+                            break;
+                        }
+                        const note = this.readNote(element, number);
+                        if (!note) break;
+                        lastVoice = voice;
+                        if (voice === 2) note.voice = 2;
+                        if (element.getElementsByTagName('chord').length > 0 && lastDuration[voice]) {
+                            note.duration = lastDuration[voice];
+                            note.chord = true;
+                        } else {
+                            padVoice(voice, measureStart);
+                            const length = this.readLength(element, divisions, number);
+                            note.duration = lastDuration[voice] = place(voice, length);
+                        }
+                        pattern.notes.push(note);
+                        break;
+                    }
+                    case 'forward': {
+                        // Skipped time becomes rests in its voice
+                        const voice = this.text(element, 'voice') !== null ? this.getVoice(element, voices) : lastVoice;
+                        if (voice === null) break;
+                        padVoice(voice, measureStart);
+                        const length = parseInt(this.text(element, 'duration') || '0') / divisions;
+                        padVoice(voice, (voiceBeats[voice] || 0) + length);
+                        break;
+                    }
+                    case 'backup':
+                        // Voices keep their own count, so going back needs no bookkeeping
+                        break;
+                    case 'direction':
+                        this.warn('Directions (dynamics, tempo and text) were ignored');
+                        break;
+                    case 'harmony':
+                        this.warn('Chord symbols were ignored');
+                        break;
+                    case 'barline':
+                        if (element.getElementsByTagName('repeat').length > 0 ||
+                            element.getElementsByTagName('ending').length > 0) {
+                            this.warn('Repeats and endings were not expanded');
+                        }
+                        break;
+                    case 'print':
+                    case 'sound':
+                        break;
+                    default:
+                        this.warn(`Unsupported element <${element.nodeName}> was ignored`);
+                }
+            });
+
+            const barBeats = getMeasureBeats(pattern.timeSignature);
+            const reached = Math.max(measureStart, ...Object.values(voiceBeats));
+            // A measure with nothing in it still takes up a bar
+            let length = reached - measureStart > 1e-9 ? reached - measureStart : barBeats;
+            if (measureIndex === 0 && length < barBeats - 1e-9) {
+                // Patterns start on a bar line, so a pickup is filled out with rests in front
+                const lead = barBeats - length;
+                Object.keys(voiceBeats).map(Number).forEach(voice => {
+                    pattern.notes.unshift(...rests(voice, lead));
+                    voiceBeats[voice] += lead;
+                    written[voice] = (written[voice] || 0) + lead;
+                });
+                length = barBeats;
+                this.warn('The pickup bar was filled out with rests at the start');
+            }
+            measureStart += length;
+        });
+
+        if (pattern.notes.length === 0) {
+            throw new Error('No notes could be imported from the score');
+        }
+
+        // Work out a fingering wherever the score gives none
+        const { notes, unplayable } = new FingeringSolver().solve(pattern.notes);
+        pattern.notes = notes;
+        unplayable.forEach(pitch => this.warn(`${pitch} is outside the guitar's range`));
+        return { pattern, warnings: this.getWarnings() };
+    }
+
+    // Voice number in the pattern for a MusicXML voice, in order of appearance; null beyond two
+    getVoice(element, voices) {
+        const voice = this.text(element, 'voice') || '1';
+        if (!voices.has(voice)) {
+            if (voices.size >= 2) return null;
+            voices.set(voice, voices.size + 1);
+        }
+        return voices.get(voice);
+    }
+
+    text(element, tagName) {
+        const child = element.getElementsByTagName(tagName)[0];
+        return child ? child.textContent.trim() : null;
+    }
+
+    getTitle(score) {
+        return this.text(score, 'work-title') || this.text(score, 'movement-title') || 'Imported exercise';
+    }
+
+    readAttributes(element, pattern, measureIndex, number) {
+        const fifths = this.text(element, 'fifths');
+        if (fifths !== null) {
+            const mode = this.text(element, 'mode') === 'minor' ? 'minor' : 'major';
+            const keyName = Object.keys(KEYS).find(name =>
+                KEYS[name].fifths === parseInt(fifths) && KEYS[name].mode === mode);
+            if (measureIndex > 0) {
+                this.warn(`Key change in measure ${number} was ignored`);
+            } else if (keyName) {
+                pattern.key = keyName;
+            } else {
+                this.warn(`Key signature with ${fifths} fifths is not supported; accidentals are written out instead`);
+            }
+        }
+
+        const beats = this.text(element, 'beats');
+        const beatType = this.text(element, 'beat-type');
+        if (beats !== null && beatType !== null) {
+            if (measureIndex > 0) {
+                this.warn(`Time signature change in measure ${number} was ignored`);
+            } else {
+                pattern.timeSignature = [parseInt(beats), parseInt(beatType)];
+            }
+        }
+
+        const sign = this.text(element, 'sign');
+        if (sign !== null && sign !== 'G') {
+            this.warn(`${sign} clef is not supported; notes are shown in treble clef`);
+        }
+
+        const divisions = this.text(element, 'divisions');
+        return divisions !== null ? parseInt(divisions) : null;
+    }
+
+    // The note without its value, which depends on where the voice has got to
+    readNote(element, number) {
+        if (element.getElementsByTagName('grace').length > 0) {
+            this.warn('Grace notes were skipped');
+            return null;
+        }
+
+        const note = {};
+        if (element.getElementsByTagName('rest').length > 0) {
+            note.pitch = 'rest';
+            return note;
+        }
+
+        const step = this.text(element, 'step');
+        const octave = this.text(element, 'octave');
+        if (step === null || octave === null) {
+            this.warn(`Unpitched note in measure ${number} was skipped`);
+            return null;
+        }
+        const alter = Math.round(parseFloat(this.text(element, 'alter') || '0'));
+        note.pitch = `${step}${alter > 0 ? '#'.repeat(alter) : 'b'.repeat(-alter)}${octave}`;
+
+        [...element.getElementsByTagName('tie')].forEach(tie => {
+            if (tie.getAttribute('type') === 'start') note.tie = true;
+        });
+
+        // Keep the fingering written in the score
+        const string = this.text(element, 'string');
+        const fret = this.text(element, 'fret');
+        if (string !== null && fret !== null) {
+            note.string = parseInt(string);
+            note.fret = parseInt(fret);
+        }
+
+        const notations = element.getElementsByTagName('notations')[0];
+        if (notations) {
+            [...notations.children].forEach(child => {
+                if (child.nodeName !== 'tied' && child.nodeName !== 'technical') {
+                    this.warn(`Notation <${child.nodeName}> was ignored`);
+                }
+            });
+        }
+        return note;
+    }
+
+    // Length in beats from <duration>, which already counts dots and tuplets; the note's type stands in without one
+    readLength(element, divisions, number) {
+        const duration = this.text(element, 'duration');
+        const type = this.text(element, 'type');
+        const dots = element.getElementsByTagName('dot').length;
+        const length = duration !== null
+            ? parseInt(duration) / divisions
+            : durationToBeats((MUSICXML_TYPES[type] || '4n') + (dots > 0 ? '.' : ''));
+        if (element.getElementsByTagName('time-modification').length > 0) {
+            this.warn('Tuplets were rounded to the nearest sixteenth notes');
+        } else if (beatsToDurations(length).length !== 1 || Math.abs(toSixteenths(length) - length) > 1e-9) {
+            this.warn(`A note in measure ${number} has a length that cannot be written as one value`);
+        }
+        return length;
+    }
+}
+
+export class MusicXmlExporter {
+    constructor() {
+        this.divisions = 4;  // Sixteenth note = 1 division
+    }
+
+    export(pattern) {
+        pattern = normalizePattern(pattern);
+        const measureBeats = getMeasureBeats(pattern.timeSignature);
+        const [beats, beatType] = pattern.timeSignature;
+
+        // The student's notes are the first part, and each duet part follows as a part of its own
+        const sources = [{ name: 'Guitar', notes: pattern.notes }, ...(pattern.parts || [])];
+        const parts = sources.map(part => this.splitVoices(part.notes, measureBeats));
+        const measureCount = Math.max(...parts.map(voiceMeasures =>
+            Math.max(...voiceMeasures.map(({ measures }) => measures.length))));
+        const backup = `
+      <backup><duration>${Math.round(measureBeats * this.divisions)}</duration></backup>`;
+
+        const partBodies = parts.map(voiceMeasures => {
+            const measures = [];
+            for (let i = 0; i < measureCount; i++) {
+                measures.push(voiceMeasures.map(({ voice, measures: voiceBars }) => {
+                    const notes = voiceBars[i] || beatsToDurations(measureBeats).map(duration =>
+                        ({ pitch: 'rest', duration, tieStart: false, tieStop: false }));
+                    return notes.map(note => this.exportNote(note, voice)).join('');
+                }).join(backup));
+            }
+
+            return measures.map((notes, i) => {
+                const attributes = i === 0 ? `
+      <attributes>
+        <divisions>${this.divisions}</divisions>
+        <key><fifths>${getKeyFifths(pattern.key)}</fifths><mode>${(KEYS[pattern.key] || KEYS['C']).mode}</mode></key>
+        <time><beats>${beats}</beats><beat-type>${beatType}</beat-type></time>
+        <clef><sign>G</sign><line>2</line><clef-octave-change>-1</clef-octave-change></clef>
+      </attributes>` : '';
+                const barline = i === measures.length - 1 ? `
+      <barline location="right"><bar-style>light-heavy</bar-style></barline>` : '';
+                return `    <measure number="${i + 1}">${attributes}${notes}${barline}
+    </measure>`;
+            }).join('\n');
+        });
+
+        const partList = sources.map(({ name }, i) => `
+    <score-part id="P${i + 1}"><part-name>${this.escape(name || `Part ${i + 1}`)}</part-name></score-part>`).join('');
+        const body = partBodies.map((measures, i) => `  <part id="P${i + 1}">
+${measures}
+  </part>`).join('\n');
+
+        return `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
+<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 4.0 Partwise//EN" "http://www.musicxml.org/dtds/partwise.dtd">
+<score-partwise version="4.0">
+  <work><work-title>${this.escape(pattern.name || 'Exercise')}</work-title></work>
+  <part-list>${partList}
+  </part-list>
+${body}
+</score-partwise>
+`;
+    }
+
+    // Split one part into bars voice by voice: [{ voice, measures }]. A bar lists voice 1, then backs up for voice 2.
+    splitVoices(notes, measureBeats) {
+        const marked = this.markExpression(notes.map(note => ({ ...note, duration: note.duration || '4n' })));
+        // A part with no notes still gets its bars of rests
+        const voices = marked.length > 0 ? [...new Set(marked.map(note => note.voice || 1))].sort() : [1];
+        return voices.map(voice => ({
+            voice,
+            measures: this.splitIntoMeasures(marked.filter(note => (note.voice || 1) === voice), measureBeats)
+        }));
+    }
+
+    // Group one voice's notes by bar, splitting any note or chord that runs over a bar line into tied parts
+    splitIntoMeasures(notes, measureBeats) {
+        const measures = [];
+        let current = [];
+        let remaining = measureBeats;
+        let tiedOver = new Set();  // Pitches tied into the next piece
+
+        // A chord is split as one: its first note and the notes sounding with it
+        const chords = [];
+        notes.forEach(note => {
+            if (note.chord && chords.length > 0) {
+                chords[chords.length - 1].push(note);
+            } else {
+                chords.push([note]);
+            }
+        });
+
+        chords.forEach(chord => {
+            let left = durationToBeats(chord[0].duration);
+            let first = true;
+            while (left > 1e-9) {
+                const part = Math.min(left, remaining);
+                const pieces = beatsToDurations(part);
+                pieces.forEach((duration, i) => {
+                    const last = left - part < 1e-9 && i === pieces.length - 1;
+                    const nextTiedOver = new Set();
+                    chord.forEach((note, j) => {
+                        const tieStart = note.pitch !== 'rest' && (!last || !!note.tie);
+                        current.push({
+                            ...note, duration, chord: j > 0, tieStart, tieStop: tiedOver.has(note.pitch),
+                            firstPiece: first, lastPiece: last
+                        });
+                        if (tieStart) nextTiedOver.add(note.pitch);
+                    });
+                    tiedOver = nextTiedOver;
+                    first = false;
+                });
+                left -= part;
+                remaining -= part;
+                if (remaining < 1e-9) {
+                    measures.push(current);
+                    current = [];
+                    remaining = measureBeats;
+                }
+            }
+        });
+
+        // Close an unfinished last bar with rests
+        if (current.length > 0) {
+            beatsToDurations(remaining).forEach(duration => {
+                current.push({ pitch: 'rest', duration, tieStart: false, tieStop: false });
+            });
+            measures.push(current);
+        }
+        return measures;
+    }
+
+    // Copies of the notes with the markings placed the way MusicXML wants them: a slur stops on the next note
+    // struck in its voice, a hairpin just before the voice's next dynamic (or after its last note), and a
+    // technique is written only where it changes, though every note it holds over is marked if it is a harmonic. Directions can't come between the notes of a chord, so a
+    // chord's dynamic, hairpin and technique go on its first note.
+    markExpression(notes) {
+        const marked = notes.map(note => ({ ...note }));
+        let base = null;
+        marked.forEach(note => {
+            if (!note.chord || !base) {
+                base = note;
+                return;
+            }
+            ['dynamic', 'hairpin', 'technique'].forEach(key => {
+                if (note[key] && !base[key]) base[key] = note[key];
+                delete note[key];
+            });
+        });
+
+        const techniques = {};  // Voice -> technique in force
+        marked.forEach((note, index) => {
+            const voice = note.voice || 1;
+            const later = marked.filter((other, i) => i > index && (other.voice || 1) === voice && !other.chord);
+            if (note.slur && note.pitch !== 'rest' && later.length > 0 && later[0].pitch !== 'rest') {
+                later[0].slurStop = true;
+            }
+            if (note.hairpin) {
+                const target = later.find(other => other.dynamic);
+                if (target) {
+                    target.wedgeStop = true;
+                } else {
+                    (later.length > 0 ? later[later.length - 1] : note).wedgeStopAfter = true;
+                }
+            }
+            const previous = techniques[voice] || 'free';
+            note.showTechnique = !!note.technique && note.technique !== previous;
+            if (note.technique) techniques[voice] = note.technique;
+            note.heldTechnique = techniques[voice] || 'free';
+        });
+        return marked;
+    }
+
+    // A dynamic, hairpin or technique label, attached to the voice it was marked in
+    direction(type, voice, placement = 'below') {
+        return `
+      <direction placement="${placement}"><direction-type>${type}</direction-type><voice>${voice}</voice></direction>`;
+    }
+
+    exportNote(note, voice = 1) {
+        const value = note.duration.replace('.', '');
+        const type = Object.keys(MUSICXML_TYPES).find(name => MUSICXML_TYPES[name] === value);
+        const length = Math.round(durationToBeats(note.duration) * this.divisions);
+        const dot = note.duration.endsWith('.') ? '<dot/>' : '';
+
+        // Markings go on the first piece of a note split over a bar line; a hairpin after it closes on the last
+        const first = note.firstPiece !== false;
+        const before = first ? [
+            note.wedgeStop ? this.direction('<wedge type="stop"/>', voice) : '',
+            note.dynamic ? this.direction(`<dynamics><${note.dynamic}/></dynamics>`, voice) : '',
+            note.hairpin ? this.direction(`<wedge type="${note.hairpin === 'cresc' ? 'crescendo' : 'diminuendo'}"/>`, voice) : '',
+            note.showTechnique ? this.direction(`<words>${TECHNIQUES[note.technique].label}</words>`, voice, 'above') : ''
+        ].join('') : '';
+        const after = note.wedgeStopAfter && note.lastPiece !== false ? this.direction('<wedge type="stop"/>', voice) : '';
+
+        if (note.pitch === 'rest') {
+            return `${before}
+      <note><rest/><duration>${length}</duration><voice>${voice}</voice><type>${type}</type>${dot}</note>${after}`;
+        }
+
+        const { letter, alter, octave } = parsePitch(note.pitch);
+        const ties = (note.tieStop ? '<tie type="stop"/>' : '') + (note.tieStart ? '<tie type="start"/>' : '');
+        const tied = (note.tieStop ? '<tied type="stop"/>' : '') + (note.tieStart ? '<tied type="start"/>' : '');
+        const slurs = first
+            ? (note.slurStop ? '<slur type="stop"/>' : '') + (note.slur ? '<slur type="start"/>' : '')
+            : '';
+        const articulations = first && note.articulations && note.articulations.length > 0
+            ? `<articulations>${note.articulations.map(name => `<${name}/>`).join('')}</articulations>`
+            : '';
+        const technicalMarks = (note.heldTechnique === 'harmonic' ? '<harmonic/>' : '') +
+            (note.string !== undefined && note.fret !== undefined ? `<string>${note.string}</string><fret>${note.fret}</fret>` : '');
+        const technical = technicalMarks ? `<technical>${technicalMarks}</technical>` : '';
+        const notations = tied || slurs || articulations || technical
+            ? `<notations>${tied}${slurs}${articulations}${technical}</notations>`
+            : '';
+        const chord = note.chord ? '<chord/>' : '';
+        return `${before}
+      <note>${chord}<pitch><step>${letter}</step>${alter !== 0 ? `<alter>${alter}</alter>` : ''}<octave>${octave}</octave></pitch>` +
+            `<duration>${length}</duration>${ties}<voice>${voice}</voice><type>${type}</type>${dot}${notations}</note>${after}`;
+    }
+
+    escape(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+}
@@ -0,0 +1,128 @@
+import { parsePitch, getKeySignature } from './pitch.js';
+import {
+    durationToBeats, getMeasureBeats, normalizePattern, getNoteOnsets, findTieSource
+} from './rhythm.js';
+import { DYNAMICS, DEFAULT_DYNAMIC, TECHNIQUES, assignExpression } from './expression.js';
+
+// Notes
+// A pattern's notes as objects that carry their timing, notation and playback state. They know nothing
+// of how they are drawn; a renderer reads pitch, beat and the markings, and may subclass Note to draw it.
+export class Note {
+    constructor(pitch, fret, string, duration = '4n') {
+        this.pitch = pitch;
+        this.fret = fret;
+        this.string = string;
+        this.beat = 0;  // Start in quarter-note beats from the top of the pattern
+        this.duration = duration;
+        this.beats = durationToBeats(duration);
+        this.tiedTo = null;    // Next note when this one is tied over
+        this.tiedFrom = null;  // Previous note when this one continues a tie
+        this.triggered = false;  // Set once the transport has started this note
+        this.chordNotes = null;  // Every note of the chord, shared between them, when struck together
+        this.voice = 1;
+        this.stemDirection = null;  // 'up' or 'down' when set by the voice, otherwise from the pitch
+        this.showName = true;  // Off where the name is the question, as in the quiz
+        this.accidental = null;  // Alteration to print, when the key signature and bar do not imply it
+        this.dynamic = null;  // Marking from DYNAMICS printed under the note
+        this.hairpin = null;  // 'cresc' or 'dim', starting here
+        this.hairpinEndBeat = null;
+        this.articulations = [];  // Names from ARTICULATIONS
+        this.technique = null;  // Name from TECHNIQUES where the marking changes
+        this.showTechnique = false;
+        this.slurTo = null;    // Next note when slurred into it
+        this.slurredFrom = null;
+        this.expression = { velocity: DYNAMICS[DEFAULT_DYNAMIC], length: 1, technique: 'free', cutoff: TECHNIQUES.free.cutoff };
+        this.active = false;
+        this.played = false;
+        this.result = null;  // 'correct', 'wrong', 'late' or 'missed' once graded
+        this.heardWrong = false;
+    }
+
+    // Base value without the dot, e.g. '4n.' -> 4
+    getNoteValue() {
+        return parseInt(this.duration);
+    }
+
+    isDotted() {
+        return this.duration.endsWith('.');
+    }
+}
+
+// Note objects for a pattern, made with NoteClass (Note or a subclass of it). Voices run side by side and
+// chord notes share a beat; ties are linked, chords grouped and accidentals marked per bar.
+export function createNotes(pattern, NoteClass = Note) {
+    pattern = normalizePattern(pattern);
+    const onsets = getNoteOnsets(pattern.notes);
+    const polyphonic = pattern.notes.some(noteData => (noteData.voice || 1) !== 1);
+    const notes = [];
+    pattern.notes.forEach((noteData, index) => {
+        const note = new NoteClass(noteData.pitch, noteData.fret, noteData.string, noteData.duration);
+        const tieSource = findTieSource(pattern.notes, onsets, index);
+        if (tieSource >= 0) {
+            notes[tieSource].tiedTo = note;
+            note.tiedFrom = notes[tieSource];
+        }
+        const previous = notes[index - 1];
+        if (noteData.chord && previous) {
+            note.chordNotes = previous.chordNotes || [previous];
+            previous.chordNotes = note.chordNotes;
+            note.chordNotes.push(note);
+        }
+        note.tie = !!noteData.tie;
+        note.finger = noteData.finger;
+        note.voice = noteData.voice || 1;
+        note.dynamic = noteData.dynamic || null;
+        note.hairpin = noteData.hairpin || null;
+        note.articulations = noteData.articulations || [];
+        note.technique = noteData.technique || null;
+        // With two voices the upper takes stems up and the lower stems down
+        if (polyphonic) {
+            note.stemDirection = note.voice === 1 ? 'up' : 'down';
+        }
+        note.beat = onsets[index];
+        notes.push(note);
+    });
+    linkSlurs(notes, pattern.notes);
+    assignAccidentals(notes, pattern.key, getMeasureBeats(pattern.timeSignature));
+    assignExpression(notes);
+    return notes;
+}
+
+// A slur runs from its note to the next one struck in the same voice
+export function linkSlurs(notes, notesData) {
+    notes.forEach((note, index) => {
+        if (!notesData[index].slur || note.pitch === 'rest') return;
+        const next = notes.find((other, i) => i > index && other.voice === note.voice && !notesData[i].chord);
+        if (next && next.pitch !== 'rest') {
+            note.slurTo = next;
+            next.slurredFrom = note;
+        }
+    });
+}
+
+// Print an accidental only where the key signature and earlier notes in the bar don't already imply it
+export function assignAccidentals(notes, keyName, measureBeats) {
+    const keyAlters = getKeySignature(keyName);
+    let barAlters = {};
+    let currentBar = -1;
+
+    // Voices share accidentals, so walk the notes in time order
+    [...notes].sort((a, b) => a.beat - b.beat).forEach(note => {
+        const bar = Math.floor(note.beat / measureBeats + 1e-9);
+        if (bar !== currentBar) {
+            currentBar = bar;
+            barAlters = {};
+        }
+        const parsed = parsePitch(note.pitch);
+        if (!parsed) return;
+
+        // An accidental holds for the same staff position until the bar line
+        const spot = `${parsed.letter}${parsed.octave}`;
+        const implied = spot in barAlters ? barAlters[spot] : (keyAlters[parsed.letter] || 0);
+        barAlters[spot] = parsed.alter;
+        // Tied notes carry their accidental over the bar line silently
+        if (parsed.alter !== implied && !note.tiedFrom) {
+            note.accidental = parsed.alter;
+        }
+    });
+}
@@ -0,0 +1,129 @@
+import { frequencyToMidi } from './pitch.js';
+
+// Pitch detection
+// Root-mean-square level of a block of samples, used as a noise gate
+export function getRms(buffer) {
+    let sum = 0;
+    for (let i = 0; i < buffer.length; i++) {
+        sum += buffer[i] * buffer[i];
+    }
+    return Math.sqrt(sum / buffer.length);
+}
+
+// YIN fundamental frequency estimator (de Cheveigné & Kawahara, 2002).
+// Pure function over a block of mono samples; returns { frequency, clarity } or null when unpitched.
+// The 70 Hz floor sits just under the low D of drop D (73 Hz), the lowest open string in TUNINGS;
+// anything lower needs minFrequency lowered, and blocks of at least 2 * sampleRate / minFrequency samples.
+export function detectPitch(buffer, sampleRate, { threshold = 0.15, minFrequency = 70, maxFrequency = 1400 } = {}) {
+    const maxLag = Math.min(Math.floor(sampleRate / minFrequency), Math.floor(buffer.length / 2));
+    const minLag = Math.max(2, Math.floor(sampleRate / maxFrequency));
+    const windowSize = buffer.length - maxLag;
+
+    // Squared difference between the signal and itself shifted by each lag
+    const difference = new Float32Array(maxLag + 1);
+    for (let lag = 1; lag <= maxLag; lag++) {
+        let sum = 0;
+        for (let i = 0; i < windowSize; i++) {
+            const delta = buffer[i] - buffer[i + lag];
+            sum += delta * delta;
+        }
+        difference[lag] = sum;
+    }
+
+    // Cumulative mean normalised difference
+    const normalized = new Float32Array(maxLag + 1);
+    normalized[0] = 1;
+    let runningSum = 0;
+    for (let lag = 1; lag <= maxLag; lag++) {
+        runningSum += difference[lag];
+        normalized[lag] = runningSum === 0 ? 1 : difference[lag] * lag / runningSum;
+    }
+
+    // First dip under the threshold, followed down to its local minimum
+    let period = -1;
+    for (let lag = minLag; lag <= maxLag; lag++) {
+        if (normalized[lag] < threshold) {
+            while (lag + 1 <= maxLag && normalized[lag + 1] < normalized[lag]) lag++;
+            period = lag;
+            break;
+        }
+    }
+    if (period === -1) return null;
+
+    // Parabolic interpolation for sub-sample accuracy
+    let refined = period;
+    if (period > 1 && period < maxLag) {
+        const before = normalized[period - 1];
+        const at = normalized[period];
+        const after = normalized[period + 1];
+        const curvature = before + after - 2 * at;
+        if (curvature !== 0) refined = period + (before - after) / (2 * curvature);
+    }
+
+    return { frequency: sampleRate / refined, clarity: 1 - normalized[period] };
+}
+
+// Pitch Tracker
+// Turns the blocks a microphone gives, one per frame, into played notes. A note is only reported at its
+// attack: the level jumping, out of silence or over a string still ringing. Once its pitch has held for
+// two blocks it is reported, once; the ringing after it is not, so a sustained note is never heard again
+// as the next one, and a repeated pitch needs a fresh pluck.
+export class PitchTracker {
+    constructor({ silenceThreshold = 0.01, minClarity = 0.85, riseRatio = 1.5, historyBlocks = 4, attackBlocks = 10 } = {}) {
+        this.silenceThreshold = silenceThreshold;  // RMS below this is treated as silence
+        this.minClarity = minClarity;
+        this.riseRatio = riseRatio;  // Level jump over the quietest recent block that counts as an attack
+        this.historyBlocks = historyBlocks;  // Recent levels an attack is measured against; also the gap between attacks
+        this.attackBlocks = attackBlocks;  // Blocks after an attack in which its pitch must settle
+        this.reset();
+    }
+
+    reset() {
+        this.levels = [];
+        this.sinceAttack = Infinity;
+        this.reported = true;  // Whether the latest attack has had its pitch reported
+        this.ringingMidi = null;  // Pitch that was sounding when the latest attack came
+        this.lastMidi = null;
+        this.stableBlocks = 0;
+        this.currentPitch = null;  // Latest steady pitch, attack or not, for display
+    }
+
+    // Returns the note started in this block as { midi, frequency, clarity }, or null
+    update(buffer, sampleRate) {
+        const level = getRms(buffer);
+        const quietest = this.levels.length > 0 ? Math.min(...this.levels) : 0;
+        this.levels.push(level);
+        if (this.levels.length > this.historyBlocks) this.levels.shift();
+        this.sinceAttack++;
+
+        // The pluck's own rise spans a few blocks; it is one attack
+        if (level >= this.silenceThreshold && level > quietest * this.riseRatio && this.sinceAttack > this.historyBlocks) {
+            this.sinceAttack = 0;
+            this.reported = false;
+            this.ringingMidi = this.lastMidi;
+            this.lastMidi = null;
+            this.stableBlocks = 0;
+        }
+
+        const result = level < this.silenceThreshold ? null : detectPitch(buffer, sampleRate);
+        if (!result || result.clarity < this.minClarity) {
+            this.lastMidi = null;
+            this.stableBlocks = 0;
+            this.currentPitch = null;
+            return null;
+        }
+
+        const midi = Math.round(frequencyToMidi(result.frequency));
+        this.stableBlocks = midi === this.lastMidi ? this.stableBlocks + 1 : 1;
+        this.lastMidi = midi;
+        // A single block is often the pluck transient rather than the note
+        if (this.stableBlocks < 2) return null;
+
+        this.currentPitch = { midi, frequency: result.frequency };
+        if (this.reported || this.sinceAttack > this.attackBlocks) return null;
+        // Until the blocks hold nothing from before the attack, the string that was ringing may still be what is heard
+        if (midi === this.ringingMidi && this.sinceAttack < this.historyBlocks) return null;
+        this.reported = true;
+        return { midi, frequency: result.frequency, clarity: result.clarity };
+    }
+}
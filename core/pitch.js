@@ -0,0 +1,121 @@
+// Music theory helpers
+export const NOTE_LETTERS = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+export const LETTER_SEMITONES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+export const SCALE_INTERVALS = {
+    major: [0, 2, 4, 5, 7, 9, 11],
+    minor: [0, 2, 3, 5, 7, 8, 10]  // Natural minor
+};
+
+// Keys offered by the generator; fifths counts sharps (positive) or flats (negative) in the signature
+export const KEYS = {
+    'C': { tonic: 'C', mode: 'major', fifths: 0 },
+    'G': { tonic: 'G', mode: 'major', fifths: 1 },
+    'D': { tonic: 'D', mode: 'major', fifths: 2 },
+    'A': { tonic: 'A', mode: 'major', fifths: 3 },
+    'E': { tonic: 'E', mode: 'major', fifths: 4 },
+    'F': { tonic: 'F', mode: 'major', fifths: -1 },
+    'Bb': { tonic: 'Bb', mode: 'major', fifths: -2 },
+    'Am': { tonic: 'A', mode: 'minor', fifths: 0 },
+    'Em': { tonic: 'E', mode: 'minor', fifths: 1 },
+    'Dm': { tonic: 'D', mode: 'minor', fifths: -1 }
+};
+
+// Order accidentals are added to a key signature, and where each sits on the treble staff
+export const SHARP_ORDER = ['F', 'C', 'G', 'D', 'A', 'E', 'B'];
+export const FLAT_ORDER = ['B', 'E', 'A', 'D', 'G', 'C', 'F'];
+export const KEY_SIGNATURE_PITCHES = {
+    sharp: ['F5', 'C5', 'G5', 'D5', 'A4', 'E5', 'B4'],
+    flat: ['B4', 'E5', 'A4', 'D5', 'G4', 'C5', 'F4']
+};
+
+export function parsePitch(pitch) {
+    const match = /^([A-G])(#{1,2}|b{1,2})?(-?\d)$/.exec(pitch);
+    if (!match) return null;
+    const accidental = match[2] || '';
+    return {
+        letter: match[1],
+        alter: accidental.startsWith('#') ? accidental.length : -accidental.length,
+        octave: parseInt(match[3])
+    };
+}
+
+export function pitchToMidi(pitch) {
+    const parsed = parsePitch(pitch);
+    if (!parsed) return null;
+    return (parsed.octave + 1) * 12 + LETTER_SEMITONES[parsed.letter] + parsed.alter;
+}
+
+export const SHARP_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Name a MIDI note without key context, e.g. 61 -> 'C#4'
+export function midiToPitch(midi) {
+    return `${SHARP_NAMES[((midi % 12) + 12) % 12]}${Math.floor(midi / 12) - 1}`;
+}
+
+export function frequencyToMidi(frequency) {
+    return 69 + 12 * Math.log2(frequency / 440);
+}
+
+export function spellPitch(letter, alter, midi) {
+    const octave = Math.floor((midi - LETTER_SEMITONES[letter] - alter) / 12) - 1;
+    const accidental = alter > 0 ? '#'.repeat(alter) : 'b'.repeat(-alter);
+    return `${letter}${accidental}${octave}`;
+}
+
+// Letters altered by a key signature, e.g. 'D' -> { F: 1, C: 1 }
+export function getKeyFifths(keyName) {
+    return (KEYS[keyName] || KEYS['C']).fifths;
+}
+
+export function getKeySignature(keyName) {
+    const fifths = getKeyFifths(keyName);
+    const order = fifths >= 0 ? SHARP_ORDER : FLAT_ORDER;
+    const alters = {};
+    order.slice(0, Math.abs(fifths)).forEach(letter => {
+        alters[letter] = Math.sign(fifths);
+    });
+    return alters;
+}
+
+// Diatonic steps above the bottom line of the treble staff (E4 = 0, F5 = 8)
+export function getStaffStep(pitch) {
+    const parsed = parsePitch(pitch);
+    if (!parsed) return null;
+    return parsed.octave * 7 + NOTE_LETTERS.indexOf(parsed.letter) - (4 * 7 + 2);
+}
+
+// Natural pitch on a staff step, the inverse of getStaffStep for notes without accidentals (0 -> 'E4')
+export function getStaffPitch(step) {
+    const degree = 4 * 7 + NOTE_LETTERS.indexOf('E') + step;
+    return `${NOTE_LETTERS[((degree % 7) + 7) % 7]}${Math.floor(degree / 7)}`;
+}
+
+// Name a MIDI note the way a key would write it: scale notes as in the key, others with the key's accidentals
+export function spellInKey(midi, keyName) {
+    const pc = ((midi % 12) + 12) % 12;
+    const degree = buildScale(keyName).find(step => step.pc === pc);
+    if (degree) return spellPitch(degree.letter, degree.alter, midi);
+    if (getKeyFifths(keyName) < 0) {
+        // Flat keys spell black keys as flats
+        const letter = NOTE_LETTERS.find(name => (LETTER_SEMITONES[name] + 11) % 12 === pc);
+        if (letter) return spellPitch(letter, -1, midi);
+    }
+    return midiToPitch(midi);
+}
+
+// Spell the seven degrees of a key, e.g. 'G' -> G A B C D E F#
+export function buildScale(keyName) {
+    const key = KEYS[keyName] || KEYS['C'];
+    const tonic = parsePitch(`${key.tonic}4`);
+    const tonicPc = LETTER_SEMITONES[tonic.letter] + tonic.alter;
+    const startIndex = NOTE_LETTERS.indexOf(tonic.letter);
+
+    return SCALE_INTERVALS[key.mode].map((interval, degree) => {
+        const letter = NOTE_LETTERS[(startIndex + degree) % 7];
+        const pc = (tonicPc + interval + 12) % 12;
+        let alter = pc - LETTER_SEMITONES[letter];
+        if (alter > 6) alter -= 12;
+        if (alter < -6) alter += 12;
+        return { letter, alter, pc, degree };
+    });
+}
@@ -0,0 +1,438 @@
+import { guitar } from './guitar.js';
+import { getMeasureBeats, getPulseBeats, normalizePattern } from './rhythm.js';
+import { createNotes } from './notes.js';
+
+// Player
+// Plays a pattern against a clock and grades what is heard. The clock (see ManualClock in clock.js for
+// the interface) counts beats and runs scheduled callbacks; the audio engine only has to make the sounds:
+// playNote, playPartNote, playBeat and setPartMix. Neither is tied to a browser.
+export class Player {
+    constructor(eventBus, audioEngine, clock) {
+        this.eventBus = eventBus;
+        this.audioEngine = audioEngine;
+        this.clock = clock;
+        this.isPlaying = false;
+        this.playPosition = 0;
+        this.notes = [];
+        this.barLines = [];
+        this.timeSignature = [4, 4];
+        this.key = 'C';
+        this.tempo = 100;
+        this.leadInBeats = 4;  // Empty beats before the first note
+        this.scheduledEvents = [];  // Clock event ids owned by the current pattern
+        this.gradingSources = new Set();  // Inputs that can answer every note, e.g. 'microphone'
+        this.gradingTolerance = 0.15;  // Seconds after the note reaches the line before it counts as late
+        this.loop = null;  // { start, end } in pattern beats, whole bars, while an A-B loop is set
+        this.speedTrainer = { enabled: false, step: 2, maxTempo: 180 };  // BPM added after each loop
+        this.parts = [];  // Other parts of a duet: { name, notes }, played along but never graded
+        this.partSettings = {};  // Part name -> { mode: 'display', 'play' or 'mute', volume, pan }, kept across patterns
+
+        // Playback runs on the clock; the screen only follows it
+        this.clock.setTempo(this.tempo);
+
+        // The clock wraps loops itself; runs just before the loop's first notes
+        this.clock.onLoop((time) => {
+            this.resetNotes(note => note.beat >= this.loop.start && note.beat < this.loop.end);
+            this.clock.defer(() => this.completeLoop(), time);
+        });
+
+        this.eventBus.on('speedTrainerChanged', (settings) => {
+            this.speedTrainer = { ...this.speedTrainer, ...settings };
+        });
+
+        this.eventBus.on('partSettingsChanged', ({ name, ...settings }) => {
+            this.setPartSettings(name, settings);
+        });
+
+        this.eventBus.on('patternGenerated', (pattern) => {
+            this.loadPattern(pattern);
+        });
+
+        this.eventBus.on('tempoChanged', (tempo) => {
+            this.tempo = tempo;
+            // Ramp rather than jump so a change mid-pattern doesn't lurch
+            this.clock.setTempo(tempo, 0.2);
+        });
+
+        this.waitMode = false;
+        this.waitingNotes = [];  // Notes held on the play line until they are answered
+
+        this.eventBus.on('gradingChanged', ({ source, enabled }) => {
+            if (enabled) {
+                this.gradingSources.add(source);
+            } else {
+                this.gradingSources.delete(source);
+            }
+        });
+
+        this.eventBus.on('waitModeChanged', (enabled) => {
+            this.setWaitMode(enabled);
+        });
+
+        this.eventBus.on('pitchDetected', (input) => {
+            this.handlePitchInput(input);
+        });
+    }
+
+    beatsToSeconds(beats) {
+        return beats * 60 / this.tempo;
+    }
+
+    // Current clock position in beats, counted from the start of the lead-in
+    getCurrentBeat() {
+        return this.clock.getBeat();
+    }
+
+    // Clock beat at which a note starts
+    getStartBeat(note) {
+        return this.leadInBeats + note.beat;
+    }
+
+    loadPattern(pattern) {
+        pattern = normalizePattern(pattern);
+        this.currentPattern = pattern;  // Store the current pattern for replay
+        this.timeSignature = pattern.timeSignature;
+        this.key = pattern.key;
+        this.barLines = [];
+        this.waitingNotes = [];
+        this.runStarted = false;
+        this.playPosition = 0;
+        this.setLoop(null);
+        // Room for at least a one-bar count-in
+        this.leadInBeats = Math.max(4, getMeasureBeats(this.timeSignature));
+
+        this.notes = this.createNotes(pattern);
+
+        // Duet parts share the bars and the clock; their note names would only distract
+        this.parts = (pattern.parts || []).map(part => {
+            const notes = this.createNotes({ ...pattern, notes: part.notes });
+            notes.forEach(note => {
+                note.showName = false;
+            });
+            this.partSettings[part.name] = {
+                mode: 'display',
+                volume: part.volume !== undefined ? part.volume : 0,
+                pan: part.pan !== undefined ? part.pan : 0,
+                ...this.partSettings[part.name]
+            };
+            this.audioEngine.setPartMix(part.name, this.partSettings[part.name]);
+            return { name: part.name, notes };
+        });
+        this.eventBus.emit('partsChanged', this.parts);
+        const beat = [this.notes, ...this.parts.map(part => part.notes)].reduce((end, notes) =>
+            notes.reduce((partEnd, note) => Math.max(partEnd, note.beat + note.beats), end), 0);
+        const measureBeats = getMeasureBeats(this.timeSignature);
+
+        // Bar lines sit just before the first note of each bar, plus one closing the last bar
+        const totalBeats = Math.ceil(beat / measureBeats) * measureBeats;
+        for (let barBeat = measureBeats; barBeat <= totalBeats; barBeat += measureBeats) {
+            this.barLines.push({ beat: barBeat, final: barBeat === totalBeats });
+        }
+        this.totalBeats = totalBeats;
+
+        // A new pattern starts from the top, stopped
+        const wasPlaying = this.isPlaying;
+        this.clock.stop();
+        this.schedulePattern();
+        if (wasPlaying) {
+            this.clock.start();
+        }
+    }
+
+    // Note objects for the pattern; a renderer overrides this to make notes it can draw
+    createNotes(pattern) {
+        return createNotes(pattern);
+    }
+
+    // Put every note start and end on the clock's timeline
+    schedulePattern() {
+        this.scheduledEvents.forEach(id => this.clock.clear(id));
+        this.scheduledEvents = [];
+
+        const at = (beat, callback) => {
+            this.scheduledEvents.push(this.clock.schedule(callback, beat));
+        };
+
+        // Metronome from a one-bar count-in to the end of the last bar
+        const measureBeats = getMeasureBeats(this.timeSignature);
+        const pulseBeats = getPulseBeats(this.timeSignature);
+        const countInStart = this.leadInBeats - measureBeats;
+        for (let beat = countInStart; beat < this.leadInBeats + this.totalBeats - 1e-9; beat += pulseBeats) {
+            const isDownbeat = Math.abs((beat - countInStart) % measureBeats) < 1e-9;
+            at(beat, (time) => {
+                this.audioEngine.playBeat(isDownbeat, this.beatsToSeconds(pulseBeats), time);
+            });
+        }
+
+        // Releases go in first so a note ending on a beat lets go before the next one there starts
+        this.notes.forEach(note => {
+            at(this.getStartBeat(note) + note.beats, (time) => {
+                this.clock.defer(() => this.releaseNote(note), time);
+            });
+        });
+        this.notes.forEach(note => {
+            at(this.getStartBeat(note), (time) => this.startNote(note, time));
+        });
+        this.parts.forEach(part => {
+            part.notes.forEach(note => {
+                at(this.getStartBeat(note) + note.beats, (time) => {
+                    this.clock.defer(() => {
+                        note.active = false;
+                        note.played = true;
+                    }, time);
+                });
+            });
+            part.notes.forEach(note => {
+                at(this.getStartBeat(note), (time) => this.startPartNote(part, note, time));
+            });
+        });
+
+        // Let the last bar scroll past the play line, then stop
+        at(this.leadInBeats + this.totalBeats + 2, (time) => {
+            this.clock.pause(time);
+            this.clock.defer(() => this.pause(), time);
+        });
+    }
+
+    // Clock callback: may run slightly ahead of time; audio uses the exact time, state follows via defer
+    startNote(note, time) {
+        // Resuming a paused clock can revisit the beat it stopped on
+        if (note.triggered) return;
+        note.triggered = true;
+
+        const waitHere = this.waitMode && this.isGradable(note) && !note.result;
+        // The microphone would take the sampled guitar for the student, so their notes are left to them
+        const studentPlays = this.gradingSources.has('microphone') && this.isGradable(note);
+        if (waitHere) {
+            this.clock.pause(time);
+        } else if (!studentPlays && !note.tiedFrom && note.pitch !== 'rest') {
+            // Play the note for its written length, shortened or lengthened by its markings;
+            // tied continuations keep ringing
+            const seconds = this.beatsToSeconds(this.getTiedBeats(note) * note.expression.length);
+            this.audioEngine.playNote(guitar.toSounding(note.pitch), seconds, time, note.expression);
+        }
+
+        this.clock.defer(() => {
+            note.active = true;
+            // Announce the start of a run when its first note is hit
+            if (!this.runStarted) {
+                this.runStarted = true;
+                this.eventBus.emit('playbackStarted', this.currentPattern);
+            }
+            if (!note.tiedFrom && note.pitch !== 'rest') {
+                this.eventBus.emit('noteActivated', {
+                    pitch: note.pitch,
+                    string: note.string,
+                    fret: note.fret,
+                    finger: note.finger,
+                    duration: this.beatsToSeconds(this.getTiedBeats(note))
+                });
+            }
+            // The student supplies the sound of notes they are waited on
+            if (waitHere) {
+                this.waitingNotes.push(note);
+            }
+        }, time);
+    }
+
+    // A duet part's note: heard unless the part is muted, shown on its own staff, never on the fretboard
+    startPartNote(part, note, time) {
+        if (note.triggered) return;
+        note.triggered = true;
+        if (this.partSettings[part.name].mode !== 'mute' && !note.tiedFrom && note.pitch !== 'rest') {
+            const seconds = this.beatsToSeconds(this.getTiedBeats(note) * note.expression.length);
+            this.audioEngine.playPartNote(part.name, guitar.toSounding(note.pitch), seconds, time, note.expression);
+        }
+        this.clock.defer(() => {
+            note.active = true;
+        }, time);
+    }
+
+    // Change a part's mode or mix; a change of mode can add or remove its staff
+    setPartSettings(name, settings) {
+        const previousMode = this.partSettings[name].mode;
+        this.partSettings[name] = { ...this.partSettings[name], ...settings };
+        this.audioEngine.setPartMix(name, this.partSettings[name]);
+        if (this.partSettings[name].mode !== previousMode) {
+            this.eventBus.emit('partsChanged', this.parts);
+        }
+    }
+
+    // Parts shown on a staff of their own, above the student's
+    getDisplayedParts() {
+        return this.parts.filter(part => this.partSettings[part.name].mode === 'display');
+    }
+
+    play() {
+        this.isPlaying = true;
+        // Playing again after the pattern ran out starts it over
+        if (this.getCurrentBeat() >= this.leadInBeats + this.totalBeats) {
+            this.setPosition(0);
+        }
+        // A browser clock may need the user's click to start its audio, which Play always is
+        this.clock.unlock().then(() => {
+            // A note still waiting for its answer keeps the music held
+            if (this.isPlaying && this.waitingNotes.length === 0) {
+                this.clock.start();
+            }
+        }).catch((error) => {
+            // Without its audio the clock never started; go back to stopped and say why
+            this.pause();
+            this.eventBus.emit('playbackFailed', error);
+        });
+        this.eventBus.emit('playStateChanged', true);
+    }
+
+    pause() {
+        this.isPlaying = false;
+        this.clock.pause();
+        this.eventBus.emit('playStateChanged', false);
+    }
+
+    // Jump to a beat of the pattern; everything from there on is fresh again
+    setPosition(pos) {
+        this.playPosition = pos;
+        this.waitingNotes = [];
+        if (pos === 0) {
+            this.runStarted = false;
+        }
+        this.resetNotes(note => note.beat >= pos);
+        // Position 0 keeps the count-in
+        this.clock.setBeat(pos === 0 ? 0 : this.leadInBeats + pos);
+    }
+
+    // Where playback is, in beats from the start of the pattern
+    getPosition() {
+        return Math.max(0, this.getCurrentBeat() - this.leadInBeats);
+    }
+
+    // Clear the playback and grading state of the matching notes so they can be played again
+    resetNotes(matches) {
+        this.notes.forEach(note => {
+            if (!matches(note)) return;
+            if (note.active && !note.tiedFrom && note.pitch !== 'rest') {
+                this.eventBus.emit('noteReleased', { string: note.string, fret: note.fret });
+            }
+            note.triggered = false;
+            note.active = false;
+            note.played = false;
+            note.result = null;
+            note.heardWrong = false;
+        });
+        this.parts.forEach(part => {
+            part.notes.filter(matches).forEach(note => {
+                note.triggered = false;
+                note.active = false;
+                note.played = false;
+            });
+        });
+    }
+
+    // loop is { start, end } in pattern beats, or null to play straight through
+    setLoop(loop) {
+        this.loop = loop;
+        this.clock.setLoop(loop && { start: this.leadInBeats + loop.start, end: this.leadInBeats + loop.end });
+    }
+
+    // One time round the loop is done: the speed trainer nudges the tempo up
+    completeLoop() {
+        this.waitingNotes = [];
+        const { enabled, step, maxTempo } = this.speedTrainer;
+        if (enabled && this.tempo < maxTempo) {
+            this.eventBus.emit('tempoChanged', Math.min(maxTempo, this.tempo + step));
+        }
+    }
+
+    // Total length of a note including everything tied onto it
+    getTiedBeats(note) {
+        let beats = note.beats;
+        for (let next = note.tiedTo; next; next = next.tiedTo) {
+            beats += next.beats;
+        }
+        return beats;
+    }
+
+    // Notes that can be answered now: those held for the student, or the sounding notes without a result.
+    // In a chord or between voices any of them may come first.
+    getGradedNotes() {
+        if (this.waitingNotes.length > 0) return this.waitingNotes;
+        return this.notes.filter(note => note.active && this.isGradable(note) && !note.result);
+    }
+
+    // Rests and tied continuations are never answered on their own
+    isGradable(note) {
+        return note.pitch !== 'rest' && !note.tiedFrom;
+    }
+
+    handlePitchInput(input) {
+        if (!this.isPlaying) return;
+        const candidates = this.getGradedNotes();
+        if (candidates.length === 0) return;
+
+        const note = candidates.find(candidate => guitar.toSoundingMidi(candidate.pitch) === input.midi);
+        if (!note) {
+            candidates.forEach(candidate => {
+                candidate.heardWrong = true;
+            });
+            return;
+        }
+
+        // Every input is a fresh attack, so the right pitch played now outweighs anything wrong heard before it
+        note.heardWrong = false;
+        if (this.waitingNotes.includes(note)) {
+            // Waiting has no timing to judge
+            this.gradeNote(note, 'correct');
+            this.waitingNotes = this.waitingNotes.filter(waiting => waiting !== note);
+            // Echo answers that made no sound of their own
+            if (input.source !== 'microphone') {
+                const seconds = this.beatsToSeconds(this.getTiedBeats(note) * note.expression.length);
+                this.audioEngine.playNote(guitar.toSounding(note.pitch), seconds, this.clock.now(), note.expression);
+            }
+            // Go on once every note of the chord is in
+            if (this.waitingNotes.length === 0) {
+                this.clock.start();
+            }
+            return;
+        }
+
+        // Timing is measured on the clock, so it is independent of the frame rate
+        const timingError = this.beatsToSeconds(this.getCurrentBeat() - this.getStartBeat(note));
+        this.gradeNote(note, timingError <= this.gradingTolerance ? 'correct' : 'late', timingError);
+    }
+
+    gradeNote(note, result, timingError = null) {
+        // Tied continuations share the result of the note that started them
+        for (let tied = note; tied; tied = tied.tiedTo) {
+            tied.result = result;
+        }
+        this.eventBus.emit('noteGraded', { note, result, timingError });
+    }
+
+    setWaitMode(enabled) {
+        this.waitMode = enabled;
+        // Leaving wait mode lets held notes go on
+        if (!enabled && this.waitingNotes.length > 0) {
+            this.waitingNotes = [];
+            if (this.isPlaying) {
+                this.clock.start();
+            }
+        }
+    }
+
+    // The note's written length is over: mark it played
+    releaseNote(note) {
+        if (note.played) return;
+        note.active = false;
+        note.played = true;
+        if (!note.tiedFrom && note.pitch !== 'rest') {
+            this.eventBus.emit('noteReleased', { string: note.string, fret: note.fret });
+        }
+        // Nothing right was heard while the note was at the line
+        if (this.gradingSources.size > 0 && this.isGradable(note) && !note.result) {
+            this.gradeNote(note, note.heardWrong ? 'wrong' : 'missed');
+        }
+        if (this.notes.every(n => n.played)) {
+            this.eventBus.emit('patternFinished', this.currentPattern);
+        }
+    }
+}
@@ -0,0 +1,74 @@
+// Progress Store
+// Session history kept in a Web Storage object (localStorage in the browser) so progress survives between
+// visits. Storage that can't be read or written is reported as storageFailed, and the history lives on in memory.
+export class ProgressStore {
+    constructor(eventBus, storage = globalThis.localStorage, storageKey = 'classicalGuitar.history', maxSessions = 500) {
+        this.eventBus = eventBus;
+        this.storage = storage;
+        this.storageKey = storageKey;
+        this.maxSessions = maxSessions;
+        this.sessions = this.load();
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(this.storage.getItem(this.storageKey));
+            return Array.isArray(saved) ? saved : [];
+        } catch (error) {
+            this.eventBus.emit('storageFailed', { message: 'Could not read practice history', error });
+            return [];
+        }
+    }
+
+    save() {
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.sessions));
+        } catch (error) {
+            this.eventBus.emit('storageFailed', { message: 'Could not save practice history', error });
+        }
+    }
+
+    addSession(session) {
+        this.sessions.push(session);
+        // Drop the oldest sessions once the history gets long
+        if (this.sessions.length > this.maxSessions) {
+            this.sessions.splice(0, this.sessions.length - this.maxSessions);
+        }
+        this.save();
+    }
+
+    clear() {
+        this.sessions = [];
+        this.save();
+    }
+
+    // Attempts and hits per string, fret and pitch across all saved sessions
+    getBreakdown() {
+        const breakdown = { string: {}, fret: {}, pitch: {} };
+        this.sessions.forEach(session => {
+            session.results.forEach(result => {
+                const hit = result.result === 'correct' || result.result === 'late';
+                [['string', result.string], ['fret', result.fret], ['pitch', result.pitch]].forEach(([group, key]) => {
+                    if (key === undefined || key === null) return;
+                    const entry = breakdown[group][key] || (breakdown[group][key] = { attempts: 0, hits: 0 });
+                    entry.attempts++;
+                    if (hit) entry.hits++;
+                });
+            });
+        });
+        return breakdown;
+    }
+
+    // Accuracy per calendar day, oldest first
+    getDailyProgress() {
+        const days = {};
+        this.sessions.forEach(session => {
+            const day = session.date.slice(0, 10);
+            const entry = days[day] || (days[day] = { day, notes: 0, hits: 0, passes: 0 });
+            entry.notes += session.summary.total;
+            entry.hits += session.summary.hits;
+            entry.passes++;
+        });
+        return Object.values(days).sort((a, b) => a.day.localeCompare(b.day));
+    }
+}
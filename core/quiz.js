@@ -0,0 +1,193 @@
+import { parsePitch, midiToPitch } from './pitch.js';
+import { guitar } from './guitar.js';
+import { SeededRandom } from './random.js';
+
+// Note Quiz
+// Flashcards for learning the neck: name a note shown on the staff, find it on the fretboard,
+// or place a highlighted fret on the staff. Quizzes use natural notes, so every answer is a letter
+// or a line or space. Faster answers score more. The quiz keeps time with now() in milliseconds and
+// announces each new question (quizQuestionChanged) and answer (quizAnswered); showing them is up to the front end.
+export const QUIZ_TYPES = {
+    name: 'Name the note: press its letter',
+    locate: 'Find the note: click the fretboard or play it',
+    reverse: 'Place the highlighted fret: click its line or space on the staff'
+};
+
+export class NoteQuiz {
+    constructor(eventBus, seed = Date.now(), now = () => Date.now()) {
+        this.eventBus = eventBus;
+        this.rng = new SeededRandom(seed);
+        this.now = now;
+        this.settings = {
+            type: 'name',  // Key of QUIZ_TYPES
+            strings: [1, 2, 3, 4, 5, 6],
+            minFret: 0,
+            maxFret: 5,
+            timeLimit: 5,  // Seconds per question
+            length: 20     // Questions per quiz
+        };
+        this.active = false;
+        this.question = null;  // { pitch, string, fret, askedAt }
+        this.feedback = null;  // { correct, message, until } shown between questions
+        this.summary = null;
+        this.resetScore();
+
+        this.eventBus.on('quizSettingsChanged', (settings) => {
+            this.settings = { ...this.settings, ...settings };
+        });
+
+        this.eventBus.on('pitchDetected', (input) => {
+            this.handlePitchInput(input);
+        });
+    }
+
+    resetScore() {
+        this.score = 0;
+        this.asked = 0;
+        this.correct = 0;
+        this.streak = 0;
+        this.answerSeconds = 0;
+    }
+
+    // Every natural note in the chosen strings and frets
+    getLocations() {
+        const { strings, minFret, maxFret } = this.settings;
+        const locations = [];
+        strings.forEach(string => {
+            for (let fret = minFret; fret <= maxFret; fret++) {
+                const pitch = midiToPitch(guitar.getWrittenMidi(string, fret));
+                if (parsePitch(pitch).alter === 0) {
+                    locations.push({ string, fret, pitch });
+                }
+            }
+        });
+        return locations;
+    }
+
+    start() {
+        this.resetScore();
+        this.summary = null;
+        this.active = true;
+        this.nextQuestion();
+    }
+
+    stop() {
+        this.clearQuestion();
+        this.active = false;
+        this.feedback = null;
+    }
+
+    clearQuestion() {
+        if (this.question) {
+            this.question = null;
+            this.eventBus.emit('quizQuestionChanged', null);
+        }
+    }
+
+    nextQuestion() {
+        const previous = this.question;
+        this.clearQuestion();
+        if (this.asked >= this.settings.length) {
+            this.finish();
+            return;
+        }
+
+        let locations = this.getLocations();
+        if (locations.length === 0) {
+            this.stop();
+            return;
+        }
+        // Don't ask the same thing twice running
+        if (previous && locations.length > 1) {
+            locations = locations.filter(({ string, fret }) => string !== previous.string || fret !== previous.fret);
+        }
+        const { string, fret, pitch } = this.rng.pick(locations);
+        this.question = { pitch, string, fret, askedAt: this.now() };
+        this.eventBus.emit('quizQuestionChanged', this.question);
+    }
+
+    // correct is null when time ran out
+    answer(correct, message) {
+        const seconds = Math.min((this.now() - this.question.askedAt) / 1000, this.settings.timeLimit);
+        this.asked++;
+        this.answerSeconds += seconds;
+        if (correct) {
+            this.correct++;
+            this.streak++;
+            // Up to 100 for speed, plus a bonus for a run of right answers
+            this.score += Math.round(100 * Math.max(0.1, 1 - seconds / this.settings.timeLimit)) +
+                10 * Math.min(this.streak - 1, 5);
+        } else {
+            this.streak = 0;
+        }
+
+        const { pitch, string, fret } = this.question;
+        this.feedback = {
+            correct,
+            message: message || `${pitch} (string ${string}, fret ${fret})`,
+            until: this.now() + (correct ? 600 : 1500)
+        };
+        this.eventBus.emit('quizAnswered', { pitch, string, fret, correct: !!correct, seconds });
+    }
+
+    // Letter keys, for the 'name' quiz
+    answerName(letter) {
+        if (!this.isAwaitingAnswer('name')) return false;
+        const correct = parsePitch(this.question.pitch).letter === letter;
+        this.answer(correct, correct ? null : `${letter} is wrong: it is ${this.question.pitch}`);
+        return true;
+    }
+
+    // Fretboard clicks, MIDI and the microphone, for the 'locate' quiz; any string with the right pitch counts
+    handlePitchInput(input) {
+        if (!this.isAwaitingAnswer('locate')) return;
+        const correct = input.midi === guitar.toSoundingMidi(this.question.pitch);
+        // The microphone hears noise and neighbouring notes on the way; only its right answers count
+        if (!correct && input.source === 'microphone') return;
+        this.answer(correct);
+    }
+
+    // A written pitch placed on the staff, for the 'reverse' quiz
+    answerPlacement(pitch) {
+        if (!this.isAwaitingAnswer('reverse')) return false;
+        const correct = pitch === this.question.pitch;
+        this.answer(correct, correct ? null : `${pitch} is wrong: it is ${this.question.pitch}`);
+        return true;
+    }
+
+    isAwaitingAnswer(type) {
+        return this.active && this.question && !this.feedback && this.settings.type === type;
+    }
+
+    // Share of the question's time still left, from 1 down to 0
+    getTimeLeft() {
+        if (!this.question) return 0;
+        return Math.min(Math.max(1 - (this.now() - this.question.askedAt) / (this.settings.timeLimit * 1000), 0), 1);
+    }
+
+    // Runs the clock: times out unanswered questions and moves on after feedback
+    update() {
+        if (!this.active || !this.question) return;
+        if (this.feedback) {
+            if (this.now() > this.feedback.until) {
+                this.feedback = null;
+                this.nextQuestion();
+            }
+            return;
+        }
+        if (this.now() - this.question.askedAt > this.settings.timeLimit * 1000) {
+            this.answer(null, `Time's up: ${this.question.pitch} (string ${this.question.string}, fret ${this.question.fret})`);
+        }
+    }
+
+    finish() {
+        this.active = false;
+        this.summary = {
+            score: this.score,
+            correct: this.correct,
+            asked: this.asked,
+            averageSeconds: this.asked > 0 ? this.answerSeconds / this.asked : 0
+        };
+        this.eventBus.emit('quizFinished', this.summary);
+    }
+}
@@ -0,0 +1,31 @@
+// Seeded Random
+// Small deterministic generator (mulberry32) so a seed always yields the same exercise
+export class SeededRandom {
+    constructor(seed) {
+        this.state = seed >>> 0;
+    }
+
+    // Float in [0, 1)
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    pick(items) {
+        return items[Math.floor(this.next() * items.length)];
+    }
+
+    weightedPick(items, weightOf) {
+        const weights = items.map(weightOf);
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+        let target = this.next() * total;
+        for (let i = 0; i < items.length; i++) {
+            target -= weights[i];
+            if (target < 0) return items[i];
+        }
+        return items[items.length - 1];
+    }
+}
@@ -0,0 +1,88 @@
+import { guitar } from './guitar.js';
+import { getMeasureBeats, getPulseBeats, normalizePattern } from './rhythm.js';
+import { createNotes } from './notes.js';
+
+// Offline Rendering
+// What to play when, in seconds, for rendering a pattern without a clock: sounding pitches with
+// their expression and part (null for the student's), and metronome clicks from a one-bar count-in when
+// metronome is on. partSettings leaves out muted parts; tail lets the last notes and the reverb die away.
+export function buildRenderSchedule(pattern, { tempo, metronome = false, subdivision = 1, partSettings = {}, tail = 2 }) {
+    pattern = normalizePattern(pattern);
+    const parts = [{ name: null, notes: createNotes(pattern) }];
+    (pattern.parts || []).forEach(part => {
+        if ((partSettings[part.name] || {}).mode !== 'mute') {
+            parts.push({ name: part.name, notes: createNotes({ ...pattern, notes: part.notes }) });
+        }
+    });
+    const secondsPerBeat = 60 / tempo;
+    const measureBeats = getMeasureBeats(pattern.timeSignature);
+    const pulseBeats = getPulseBeats(pattern.timeSignature);
+    const endBeat = parts.reduce((end, part) =>
+        part.notes.reduce((partEnd, note) => Math.max(partEnd, note.beat + note.beats), end), 0);
+    const totalBeats = Math.ceil(endBeat / measureBeats - 1e-9) * measureBeats;
+    const leadInBeats = metronome ? measureBeats : 0;
+
+    const tiedBeats = (note) => note.beats + (note.tiedTo ? tiedBeats(note.tiedTo) : 0);
+    const scheduledNotes = parts.flatMap(part => part.notes
+        .filter(note => note.pitch !== 'rest' && !note.tiedFrom)
+        .map(note => ({
+            part: part.name,
+            pitch: guitar.toSounding(note.pitch),
+            time: (leadInBeats + note.beat) * secondsPerBeat,
+            duration: tiedBeats(note) * note.expression.length * secondsPerBeat,
+            expression: note.expression
+        })));
+
+    const clicks = [];
+    if (metronome) {
+        for (let beat = 0; beat < leadInBeats + totalBeats - 1e-9; beat += pulseBeats) {
+            const isDownbeat = Math.abs(beat % measureBeats) < 1e-9;
+            clicks.push({ level: isDownbeat ? 'downbeat' : 'beat', time: beat * secondsPerBeat });
+            for (let i = 1; i < subdivision; i++) {
+                clicks.push({ level: 'subdivision', time: (beat + pulseBeats * i / subdivision) * secondsPerBeat });
+            }
+        }
+    }
+
+    return {
+        notes: scheduledNotes,
+        clicks,
+        duration: (leadInBeats + totalBeats) * secondsPerBeat + tail
+    };
+}
+
+// 16-bit PCM WAV file from one Float32Array of samples per channel
+export function encodeWav(channels, sampleRate) {
+    const frames = channels[0].length;
+    const bytesPerFrame = channels.length * 2;
+    const buffer = new ArrayBuffer(44 + frames * bytesPerFrame);
+    const view = new DataView(buffer);
+    const writeText = (offset, text) => {
+        for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+    };
+
+    writeText(0, 'RIFF');
+    view.setUint32(4, 36 + frames * bytesPerFrame, true);
+    writeText(8, 'WAVE');
+    writeText(12, 'fmt ');
+    view.setUint32(16, 16, true);  // Format chunk size
+    view.setUint16(20, 1, true);   // PCM
+    view.setUint16(22, channels.length, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * bytesPerFrame, true);
+    view.setUint16(32, bytesPerFrame, true);
+    view.setUint16(34, 16, true);  // Bits per sample
+    writeText(36, 'data');
+    view.setUint32(40, frames * bytesPerFrame, true);
+
+    // Channels interleave frame by frame; samples are clipped to full scale
+    let offset = 44;
+    for (let frame = 0; frame < frames; frame++) {
+        channels.forEach(samples => {
+            const sample = Math.max(-1, Math.min(1, samples[frame]));
+            view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+            offset += 2;
+        });
+    }
+    return buffer;
+}
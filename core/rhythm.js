@@ -0,0 +1,108 @@
+// Rhythm helpers
+// Durations use Tone.js notation: '1n' whole ... '16n' sixteenth, with a trailing '.' for dotted values
+export const DURATION_BEATS = { '1n': 4, '2n': 2, '4n': 1, '8n': 0.5, '16n': 0.25 };
+
+// Rhythm cells (in quarter-note beats) the generator builds bars from
+export const RHYTHM_LEVELS = {
+    quarters: {
+        simple: [[1]],
+        compound: [[1, 0.5]],
+        restChance: 0,
+        tieChance: 0
+    },
+    basic: {
+        simple: [[1], [1], [2], [0.5, 0.5]],
+        compound: [[1, 0.5], [1.5], [0.5, 0.5, 0.5]],
+        restChance: 0.1,
+        tieChance: 0
+    },
+    advanced: {
+        simple: [[1], [2], [3], [0.5, 0.5], [1.5, 0.5], [0.75, 0.25], [0.5, 0.25, 0.25], [0.25, 0.25, 0.25, 0.25]],
+        compound: [[1, 0.5], [1.5], [0.5, 0.5, 0.5], [0.75, 0.25, 0.5], [3]],
+        restChance: 0.15,
+        tieChance: 0.3
+    }
+};
+
+export function durationToBeats(duration = '4n') {
+    const dotted = duration.endsWith('.');
+    const beats = DURATION_BEATS[dotted ? duration.slice(0, -1) : duration] || 1;
+    return dotted ? beats * 1.5 : beats;
+}
+
+// Split a length in beats into notatable values, largest first (e.g. 2.5 -> '2n', '8n')
+export function beatsToDurations(beats) {
+    const values = [
+        ['1n', 4], ['2n.', 3], ['2n', 2], ['4n.', 1.5], ['4n', 1], ['8n.', 0.75], ['8n', 0.5], ['16n', 0.25]
+    ];
+    const durations = [];
+    let left = beats;
+    values.forEach(([duration, value]) => {
+        while (left >= value - 1e-9) {
+            durations.push(duration);
+            left -= value;
+        }
+    });
+    return durations;
+}
+
+export function parseTimeSignature(timeSignature = '4/4') {
+    if (Array.isArray(timeSignature)) return timeSignature;
+    const [beats, beatType] = timeSignature.split('/').map(Number);
+    return [beats || 4, beatType || 4];
+}
+
+// Length of one bar in quarter-note beats (6/8 -> 3)
+export function getMeasureBeats(timeSignature) {
+    const [beats, beatType] = parseTimeSignature(timeSignature);
+    return beats * 4 / beatType;
+}
+
+// The felt pulse of a meter, in quarter-note beats: compound meters count dotted quarters
+export function getPulseBeats(timeSignature) {
+    const [beats, beatType] = parseTimeSignature(timeSignature);
+    const compound = beatType === 8 && beats % 3 === 0;
+    return compound ? 1.5 : 4 / beatType;
+}
+
+// Patterns used to be bare note arrays; accept those as 4/4 quarter notes
+export function normalizePattern(pattern) {
+    const source = Array.isArray(pattern) ? { notes: pattern } : pattern;
+    return {
+        key: 'C',
+        ...source,
+        timeSignature: parseTimeSignature(source.timeSignature),
+        notes: source.notes.map(note => ({ ...note, duration: note.duration || '4n' }))
+    };
+}
+
+// Start beat of every note. Each voice keeps its own count, and a note marked chord
+// sounds together with the note before it, as in MusicXML.
+export function getNoteOnsets(notes) {
+    const voiceBeats = {};
+    const onsets = [];
+    notes.forEach((note, index) => {
+        if (note.chord && index > 0) {
+            onsets.push(onsets[index - 1]);
+            return;
+        }
+        const voice = note.voice || 1;
+        const beat = voiceBeats[voice] || 0;
+        onsets.push(beat);
+        voiceBeats[voice] = beat + durationToBeats(note.duration || '4n');
+    });
+    return onsets;
+}
+
+// Index of the note that ties onto notes[index], or -1: same pitch and voice, ending where this one starts
+export function findTieSource(notes, onsets, index) {
+    const note = notes[index];
+    for (let i = index - 1; i >= 0; i--) {
+        const other = notes[i];
+        if (other.tie && other.pitch === note.pitch && (other.voice || 1) === (note.voice || 1) &&
+            Math.abs(onsets[i] + durationToBeats(other.duration || '4n') - onsets[index]) < 1e-9) {
+            return i;
+        }
+    }
+    return -1;
+}
@@ -0,0 +1,115 @@
+import { KEYS } from './pitch.js';
+import { MAX_FRET, POSITIONS } from './guitar.js';
+import { DYNAMICS, HAIRPINS, ARTICULATIONS, TECHNIQUES } from './expression.js';
+
+// Exercise Schema
+// What an exercise or a library file must look like, checked before either is loaded. The schema is a
+// small subset of JSON Schema: type, enum, pattern, bounds, required and nested items.
+export const NOTE_SCHEMA = {
+    type: 'object',
+    required: ['pitch', 'duration'],
+    properties: {
+        pitch: { type: 'string', pattern: '^(rest|[A-G](#{1,2}|b{1,2})?-?\\d)$' },
+        duration: { type: 'string', pattern: '^(1|2|4|8|16)n\\.?$' },
+        string: { type: 'integer', minimum: 1, maximum: 6 },
+        fret: { type: 'integer', minimum: 0, maximum: MAX_FRET },
+        finger: { type: 'integer', minimum: 0, maximum: 4 },
+        position: { type: 'integer', minimum: 0, maximum: MAX_FRET },
+        tie: { type: 'boolean' },
+        chord: { type: 'boolean' },
+        voice: { type: 'integer', minimum: 1, maximum: 2 },
+        dynamic: { type: 'string', enum: Object.keys(DYNAMICS) },
+        hairpin: { type: 'string', enum: HAIRPINS },
+        articulations: { type: 'array', items: { type: 'string', enum: Object.keys(ARTICULATIONS) } },
+        slur: { type: 'boolean' },
+        technique: { type: 'string', enum: Object.keys(TECHNIQUES) }
+    }
+};
+
+export const PATTERN_SCHEMA = {
+    type: 'object',
+    required: ['name', 'notes'],
+    properties: {
+        name: { type: 'string', minLength: 1 },
+        key: { type: 'string', enum: Object.keys(KEYS) },
+        position: { type: 'string', enum: Object.keys(POSITIONS) },
+        timeSignature: { type: 'array', minItems: 2, maxItems: 2, items: { type: 'integer', minimum: 1, maximum: 16 } },
+        notes: {
+            type: 'array',
+            minItems: 1,
+            items: NOTE_SCHEMA
+        },
+        // Duet parts played along with the student's notes
+        parts: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['name', 'notes'],
+                properties: {
+                    name: { type: 'string', minLength: 1 },
+                    notes: { type: 'array', minItems: 1, items: NOTE_SCHEMA },
+                    volume: { type: 'number', minimum: -30, maximum: 6 },
+                    pan: { type: 'number', minimum: -1, maximum: 1 }
+                }
+            }
+        }
+    }
+};
+
+// A library file; its exercises are each checked against PATTERN_SCHEMA so one bad one doesn't sink the rest
+export const LIBRARY_FORMAT = 'classical-guitar-exercises';
+export const LIBRARY_SCHEMA = {
+    type: 'object',
+    required: ['format', 'exercises'],
+    properties: {
+        format: { type: 'string', enum: [LIBRARY_FORMAT] },
+        version: { type: 'integer', minimum: 1 },
+        exercises: { type: 'array' }
+    }
+};
+
+// Every way value breaks schema, as readable messages; empty when it is valid
+export function validateSchema(value, schema, path = 'exercise') {
+    const errors = [];
+    const typeOf = (v) => Array.isArray(v) ? 'array' : v === null ? 'null' : Number.isInteger(v) ? 'integer' : typeof v;
+    const actual = typeOf(value);
+    if (schema.type && actual !== schema.type && !(schema.type === 'number' && actual === 'integer')) {
+        const article = /^[aeiou]/.test(schema.type) ? 'an' : 'a';
+        return [`${path} should be ${schema.type === 'integer' ? 'a whole number' : `${article} ${schema.type}`}`];
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} should be one of ${schema.enum.join(', ')}`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        errors.push(`${path} "${value}" is not valid`);
+    }
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push(`${path} must not be empty`);
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${path} should be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push(`${path} should be at most ${schema.maximum}`);
+    }
+    if (actual === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${path} needs at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${path} has more than ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`)));
+        }
+    }
+    if (actual === 'object') {
+        (schema.required || []).forEach(name => {
+            if (!(name in value)) errors.push(`${path} is missing "${name}"`);
+        });
+        Object.entries(schema.properties || {}).forEach(([name, propertySchema]) => {
+            if (name in value) errors.push(...validateSchema(value[name], propertySchema, `${path}.${name}`));
+        });
+    }
+    return errors;
+}
@@ -0,0 +1,84 @@
+// Score Keeper
+// Collects the grades of a pass, sums them up when the pattern ends and hands the session to the store
+// (anything with addSession(session) and a sessions list).
+export class ScoreKeeper {
+    constructor(eventBus, store) {
+        this.eventBus = eventBus;
+        this.store = store;
+        this.results = [];
+        this.tempo = 100;
+        this.lastSummary = null;
+
+        this.eventBus.on('playbackStarted', () => {
+            this.results = [];
+            this.lastSummary = null;
+        });
+
+        this.eventBus.on('tempoChanged', (tempo) => {
+            this.tempo = tempo;
+        });
+
+        this.eventBus.on('noteGraded', ({ note, result, timingError }) => {
+            this.results.push({
+                pitch: note.pitch,
+                string: note.string,
+                fret: note.fret,
+                result,
+                timingError
+            });
+        });
+
+        this.eventBus.on('patternFinished', (pattern) => {
+            this.finishPass(pattern);
+        });
+    }
+
+    summarize(results) {
+        let streak = 0;
+        let bestStreak = 0;
+        const timingErrors = [];
+        const counts = { correct: 0, late: 0, wrong: 0, missed: 0 };
+
+        results.forEach(({ result, timingError }) => {
+            counts[result]++;
+            if (result === 'correct' || result === 'late') {
+                streak++;
+                bestStreak = Math.max(bestStreak, streak);
+            } else {
+                streak = 0;
+            }
+            if (timingError !== null && timingError !== undefined) {
+                timingErrors.push(timingError);
+            }
+        });
+
+        const hits = counts.correct + counts.late;
+        return {
+            total: results.length,
+            hits,
+            ...counts,
+            accuracy: results.length > 0 ? hits / results.length : 0,
+            bestStreak,
+            meanTimingError: timingErrors.length > 0
+                ? timingErrors.reduce((sum, error) => sum + error, 0) / timingErrors.length
+                : null
+        };
+    }
+
+    finishPass(pattern) {
+        // A pass with no input to grade says nothing about the player
+        if (this.results.length === 0) return;
+
+        const summary = this.summarize(this.results);
+        this.lastSummary = summary;
+        this.store.addSession({
+            date: new Date().toISOString(),
+            pattern: pattern && pattern.name ? pattern.name : 'Untitled',
+            tempo: this.tempo,
+            results: this.results,
+            summary
+        });
+        this.eventBus.emit('historyUpdated', this.store.sessions);
+        this.eventBus.emit('passCompleted', summary);
+    }
+}
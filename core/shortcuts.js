@@ -0,0 +1,59 @@
+// Shortcut Bindings
+// Keys and MIDI controller messages mapped to named actions, so the guitar never has to be put down.
+export const KEY_BINDINGS = {
+    ' ': 'togglePlay',
+    r: 'replay',
+    n: 'newPattern',
+    ArrowUp: 'tempoUp',
+    ArrowRight: 'tempoUp',
+    ArrowDown: 'tempoDown',
+    ArrowLeft: 'tempoDown',
+    z: 'undo',
+    y: 'redo'
+};
+export const MIDI_CONTROL_BINDINGS = { 64: 'togglePlay', 67: 'replay', 66: 'newPattern' };  // Sustain, soft and sostenuto pedals
+export const MIDI_PROGRAM_BINDINGS = { 0: 'togglePlay', 1: 'replay', 2: 'newPattern', 3: 'tempoDown', 4: 'tempoUp' };
+
+export class ShortcutBindings {
+    constructor(eventBus, actions) {
+        this.actions = actions;  // Action name -> function that performs it
+        this.keyBindings = { ...KEY_BINDINGS };
+        this.controlBindings = { ...MIDI_CONTROL_BINDINGS };
+        this.programBindings = { ...MIDI_PROGRAM_BINDINGS };
+        this.pedalsDown = new Set();
+
+        eventBus.on('midiControl', ({ controller, value }) => {
+            this.handleControl(controller, value);
+        });
+
+        eventBus.on('midiProgram', ({ program }) => {
+            this.trigger(this.programBindings[program]);
+        });
+    }
+
+    // Returns whether the name was bound to an action
+    trigger(name) {
+        const action = name && this.actions[name];
+        if (!action) return false;
+        action();
+        return true;
+    }
+
+    handleKey(key) {
+        return this.trigger(this.keyBindings[key.length === 1 ? key.toLowerCase() : key]);
+    }
+
+    // Pedals send a high value when pressed and a low one when let go; only the press acts
+    handleControl(controller, value) {
+        const down = value >= 64;
+        const wasDown = this.pedalsDown.has(controller);
+        if (down) {
+            this.pedalsDown.add(controller);
+        } else {
+            this.pedalsDown.delete(controller);
+        }
+        if (down && !wasDown) {
+            this.trigger(this.controlBindings[controller]);
+        }
+    }
+}
@@ -1,569 +1,296 @@
-// Audio Engine with Classical Guitar Sound
-class AudioEngine {
-    constructor() {
-        this.audioEnabled = false;
-        this.sampler = null;
-        this.isInitialized = false;
-        console.log('AudioEngine created');
-    }
-
-    async initializeAudio() {
-        try {
-            console.log('Starting audio initialization...');
-            await Tone.start();
-            Tone.Transport.start();
-            console.log('Tone.js started');
-
-            // Map every WAV file in /samples to its pitch
-            const sampleMap = {
-                "A#1": "samples/A#1.wav",
-                "A#3": "samples/A#3.wav",
-                "A#4": "samples/A#4.wav",
-                "A#5": "samples/A#5.wav",
-                "A1": "samples/A1.wav",
-                "A2": "samples/A2.wav",
-                "A3": "samples/A3.wav",
-                "A4": "samples/A4.wav",
-                "A5": "samples/A5.wav",
-                "B1": "samples/B1.wav",
-                "B2": "samples/B2.wav",
-                "B3": "samples/B3.wav",
-                "B4": "samples/B4.wav",
-                "B5": "samples/B5.wav",
-                "C#2": "samples/C#2.wav",
-                "C#4": "samples/C#4.wav",
-                "C#5": "samples/C#5.wav",
-                "C2": "samples/C2.wav",
-                "C3": "samples/C3.wav",
-                "C4": "samples/C4.wav",
-                "C5": "samples/C5.wav",
-                "C6": "samples/C6.wav",
-                "D#2": "samples/D#2.wav",
-                "D#4": "samples/D#4.wav",
-                "D#5": "samples/D#5.wav",
-                "D2": "samples/D2.wav",
-                "D3": "samples/D3.wav",
-                "D4": "samples/D4.wav",
-                "D5": "samples/D5.wav",
-                "E2": "samples/E2.wav",
-                "E3": "samples/E3.wav",
-                "E4": "samples/E4.wav",
-                "E5": "samples/E5.wav",
-                "F#3": "samples/F#3.wav",
-                "F#4": "samples/F#4.wav",
-                "F#5": "samples/F#5.wav",
-                "F2": "samples/F2.wav",
-                "F3": "samples/F3.wav",
-                "F4": "samples/F4.wav",
-                "F5": "samples/F5.wav",
-                "G#1": "samples/G#1.wav",
-                "G#3": "samples/G#3.wav",
-                "G#5": "samples/G#5.wav",
-                "G1": "samples/G1.wav",
-                "G2": "samples/G2.wav",
-                "G3": "samples/G3.wav",
-                "G4": "samples/G4.wav",
-                "G5": "samples/G5.wav"
-            };
-
-            return new Promise((resolve, reject) => {
-                // Create effects chain
-                this.reverb = new Tone.Reverb({
-                    decay: 2,
-                    wet: 0.2
-                }).toDestination();
-
-                this.limiter = new Tone.Limiter(-6).connect(this.reverb);
-
-                // Create sampler with envelope settings
-                this.sampler = new Tone.Sampler(sampleMap, {
-                    onload: () => {
-                        console.log('Sampler loaded and ready');
-                        this.isInitialized = true;
-                        resolve(true);
-                    },
-                    onerror: (error) => {
-                        console.error('Error loading samples:', error);
-                        reject(error);
-                    },
-                    attack: 0.005,
-                    release: 0.3,
-                    volume: -6
-                }).connect(this.limiter);
-            });
-        } catch (error) {
-            console.error('Audio initialization failed:', error);
-            return false;
-        }
-    }
-
-    async enableAudio() {
-        console.log('enableAudio() called');
-        if (!this.isInitialized) {
-            console.log('Audio not initialized, calling initializeAudio()');
-            const success = await this.initializeAudio();
-            if (!success) {
-                console.error('Failed to initialize audio');
-                return false;
-            }
-        }
-        this.audioEnabled = true;
-        console.log('Audio enabled successfully');
-        return true;
-    }
-
-    playNote(pitch, duration = 0.5) {
-        if (!this.audioEnabled || !this.isInitialized || pitch === 'rest') {
-            return;
-        }
-
-        try {
-            // Ensure we're in a valid state to play
-            if (Tone.context.state !== 'running') {
-                return;
-            }
+import {
+    EventBus, MAX_FRET, guitar, parseTimeSignature, getMeasureBeats, FingeringSolver, PatternGenerator, ScoreKeeper,
+    encodeWav, PlayCommand, PauseCommand, SeekCommand, ReplayCommand, SetLoopCommand, LoadPatternCommand,
+    GeneratePatternCommand, ChangeTempoCommand, CommandHistory, ShortcutBindings, MusicXmlImporter,
+    MusicXmlExporter, ProgressStore, PatternLibrary, Curriculum, NoteQuiz
+} from './core/index.js';
+import { AudioEngine, ToneClock, PitchListener } from './adapters/tone.js';
+import { MidiInput } from './adapters/midi.js';
+import {
+    DESIGN_WIDTH, layout, StaffPlayer, TabRenderer, FretboardVisualizer, QuizView, PatternEditor,
+    drawPassSummary, drawHeardPitch
+} from './adapters/p5.js';
+
+// Classical Guitar Sight Training
+// The page: builds the core and its adapters, wires the controls to them and runs p5's draw loop.
 
-            // Play the note immediately
-            this.sampler.triggerAttackRelease(pitch, duration, Tone.now(), 0.8);
-            console.log(`Playing note: ${pitch}, duration: ${duration}`);
-
-        } catch (error) {
-            console.error('Error playing note:', error);
-            try {
-                // Fallback to C4
-                this.sampler.triggerAttackRelease('C4', duration, Tone.now(), 0.6);
-                console.log('Fallback to C4');
-            } catch (fallbackError) {
-                console.error('Fallback also failed:', fallbackError);
-            }
-        }
-    }
-
-    // No longer needed: convertPitchToTone
-}
-// Event Bus Pattern
-class EventBus {
-    constructor() {
-        this.events = {};
-    }
-
-    on(event, callback) {
-        if (!this.events[event]) this.events[event] = [];
-        this.events[event].push(callback);
-    }
+// Global variables
+let eventBus;
+let audioEngine;
+let player;
+let fretboard;
+let patternGenerator;
+let pitchListener;
+let midiInput;
+let progressStore;
+let scoreKeeper;
+let tabRenderer;
+let viewMode = 'both';  // 'staff', 'tab' or 'both'
+let commandHistory;
+let shortcuts;
+let noteQuiz;
+let quizView;
+let patternLibrary;
+let patternEditor;
+let curriculum;
+let appMode = 'scroll';  // 'scroll' for sight-reading, 'quiz' for the note quiz, 'edit' for the pattern editor
+let loopAnchorBar = null;  // First bar of an A-B loop while it is being marked out
 
-    emit(event, data) {
-        if (this.events[event]) {
-            this.events[event].forEach(callback => callback(data));
-        }
-    }
-}
+function setup() {
+    let canvas = createCanvas(DESIGN_WIDTH, 480);
+    canvas.parent('sketch-container');
 
-// Command Pattern
-class Command {
-    execute() { }
-    undo() { }
-}
+    // Initialize components
+    eventBus = new EventBus();
+    eventBus.on('storageFailed', ({ message, error }) => console.error(`${message}:`, error));
+    audioEngine = new AudioEngine();
+    player = new StaffPlayer(eventBus, audioEngine, new ToneClock());
+    fretboard = new FretboardVisualizer(eventBus);
+    patternGenerator = new PatternGenerator(eventBus);
+    pitchListener = new PitchListener(eventBus);
+    midiInput = new MidiInput(eventBus);
+    progressStore = new ProgressStore(eventBus);
+    scoreKeeper = new ScoreKeeper(eventBus, progressStore);
+    tabRenderer = new TabRenderer();
+    commandHistory = new CommandHistory();
+    noteQuiz = new NoteQuiz(eventBus);
+    quizView = new QuizView(eventBus, noteQuiz, fretboard);
+    patternLibrary = new PatternLibrary(eventBus);
+    patternEditor = new PatternEditor(eventBus, new FingeringSolver());
+    curriculum = new Curriculum(eventBus);
 
-class PlayCommand extends Command {
-    constructor(player) {
-        super();
-        this.player = player;
+    // Setup controls
+    setupControls();
+    eventBus.on('passCompleted', () => updateStatsPanel());
+    eventBus.on('playbackFailed', (error) => showImportReport(`Playback failed: ${error.message}`, []));
+    updateStatsPanel();
+    eventBus.emit('historyUpdated', progressStore.sessions);
+    eventBus.on('libraryChanged', (patterns) => updateLibraryList(patterns));
+    eventBus.emit('libraryChanged', patternLibrary.patterns);
+
+    // A duet's parts get their own controls, and staves for those on display
+    eventBus.on('partsChanged', (parts) => {
+        updateDuetControls(parts);
+        fitCanvas();
+    });
+
+    // Pick up where the curriculum was left, then generate the initial pattern
+    eventBus.on('curriculumChanged', () => updateCurriculumControls());
+    eventBus.on('levelUnlocked', () => generatePattern());
+    if (curriculum.state.enabled) {
+        curriculum.apply();
     }
-    execute() { this.player.play(); }
+    updateCurriculumControls();
+    const fallback = patternGenerator.generateNewPattern();
+    if (fallback) showImportReport(fallback, []);
+    fitCanvas();
 }
 
-class PauseCommand extends Command {
-    constructor(player) {
-        super();
-        this.player = player;
-    }
-    execute() { this.player.pause(); }
+// Size the canvas to its container (or the screen, on the music stand) and lay the bands out on it
+function fitCanvas() {
+    const container = document.getElementById('sketch-container');
+    const canvasHeight = layout.arrange(container.clientWidth, {
+        viewHeight: window.innerHeight,
+        portrait: window.innerHeight > window.innerWidth,
+        appMode,
+        viewMode,
+        partStaves: player.getDisplayedParts().length
+    });
+    // Sharp on high-DPI screens, within reason for the canvas's memory
+    pixelDensity(Math.min(displayDensity(), 3));
+    resizeCanvas(container.clientWidth, Math.round(canvasHeight));
 }
 
-class ReplayCommand extends Command {
-    constructor(player) {
-        super();
-        this.player = player;
-        this.startPos = player.playPosition;
-    }
-    execute() {
-        this.player.setPosition(this.startPos);
-        this.player.play();
-    }
+function windowResized() {
+    fitCanvas();
 }
 
-class GeneratePatternCommand extends Command {
-    constructor(generator) {
-        super();
-        this.generator = generator;
+function setMusicStand(on) {
+    layout.standMode = on;
+    document.body.classList.toggle('music-stand', on);
+    if (on && document.fullscreenEnabled && !document.fullscreenElement) {
+        document.documentElement.requestFullscreen().catch(error => console.error('Full screen refused:', error));
+    } else if (!on && document.fullscreenElement) {
+        document.exitFullscreen();
     }
-    execute() { this.generator.generateNewPattern(); }
+    fitCanvas();
 }
 
-// Note class
-class Note {
-    constructor(pitch, fret, string, x) {
-        this.pitch = pitch;
-        this.fret = fret;
-        this.string = string;
-        this.x = x;
-        this.y = 0;
-        this.active = false;
-        this.played = false;
-    }
-
-    update(speed) {
-        this.x -= speed;
-    }
-
-    draw() {
-        push();
-        const staffBottomY = 170; // Y position of bottom staff line
-        const staffTopY = 130;    // Y position of top staff line
-        let noteY = this.getNoteY();
-
-        if (this.pitch !== 'rest') {
-            stroke(this.active ? color(255, 255, 100) : 100);
-            strokeWeight(1);
-
-            // Draw ledger lines if note is below staff
-            if (noteY > staffBottomY) {
-                let linesNeeded = Math.floor((noteY - staffBottomY) / 10);
-                for (let i = 1; i <= linesNeeded; i++) {
-                    let lineY = staffBottomY + (i * 10);
-                    // Draw ledger line extending slightly beyond the note
-                    line(this.x - 15, lineY, this.x + 15, lineY);
-                }
-            }
-
-            // Draw ledger lines if note is above staff
-            if (noteY < staffTopY) {
-                let linesNeeded = Math.floor((staffTopY - noteY) / 10);
-                for (let i = 1; i <= linesNeeded; i++) {
-                    let lineY = staffTopY - (i * 10);
-                    line(this.x - 15, lineY, this.x + 15, lineY);
-                }
-            }
-        }
-
-        // Draw note
-        if (this.active) {
-            fill(255, 200, 100);
-            stroke(255, 255, 100);
-        } else if (this.played) {
-            fill(100, 255, 100, 150);
-            stroke(100, 255, 100);
-        } else {
-            fill(255);
-            stroke(0);
-        }
-
-        strokeWeight(2);
-        ellipse(this.x, noteY, 20, 15);
-
-        // Draw stem
-        if (this.pitch !== 'rest') {
-            stroke(this.active ? color(255, 255, 100) : 255);
-            line(this.x + 8, noteY, this.x + 8, noteY - 40);
-
-            // Draw note name above the note
-            noStroke();
-            fill(255);
-            textAlign(CENTER);
-            textSize(12);
-            text(this.pitch, this.x, noteY - 45);
+function setupControls() {
+    // Buttons, keys and MIDI pedals all go through the same actions
+    const tempoSlider = document.getElementById('tempoSlider');
+    const changeTempo = (change) => new ChangeTempoCommand(eventBus, player, change,
+        parseInt(tempoSlider.min), parseInt(tempoSlider.max));
+    shortcuts = new ShortcutBindings(eventBus, {
+        play: () => executeCommand(new PlayCommand(player)),
+        pause: () => executeCommand(new PauseCommand(player)),
+        togglePlay: () => executeCommand(player.isPlaying ? new PauseCommand(player) : new PlayCommand(player)),
+        replay: () => executeCommand(new ReplayCommand(player)),
+        newPattern: () => generatePattern(),
+        tempoUp: () => executeCommand(changeTempo(5)),
+        tempoDown: () => executeCommand(changeTempo(-5)),
+        undo: () => {
+            commandHistory.undo();
+            updateHistoryButtons();
+        },
+        redo: () => {
+            commandHistory.redo();
+            updateHistoryButtons();
         }
-        pop();
-    }
-
-    getNoteY() {
-        // Staff positioning for treble clef
-        const staffY = 130;  // Y position of the top staff line
-        const lineSpacing = 10;  // Space between staff lines
-        const notePositions = {
-            // Notes on or within the staff (from bottom to top line)
-            'D4': staffY + (4.5 * lineSpacing),  // Space below bottom line
-            'E4': staffY + (4 * lineSpacing),    // Bottom line
-            'F4': staffY + (3.5 * lineSpacing),  // Space above bottom line
-            'G4': staffY + (3 * lineSpacing),    // Second line
-            'A4': staffY + (2.5 * lineSpacing),  // Space above second line
-            'B4': staffY + (2 * lineSpacing),  // Middle line
-            'C5': staffY + (1.5 * lineSpacing),
-            'D5': staffY + lineSpacing,        // Second from top
-            'E5': staffY + (0.5 * lineSpacing),
-            'F5': staffY,                      // Top line
-
-            // Notes below the staff
-            'C4': staffY + (5 * lineSpacing),    // First ledger line below
-            'B3': staffY + (5.5 * lineSpacing),  // Space below first ledger
-            'A3': staffY + (6 * lineSpacing),    // Second ledger line below
-            'G3': staffY + (6.5 * lineSpacing),  // Space below second ledger
-            'F3': staffY + (7 * lineSpacing),    // Third ledger line below
-            'E3': staffY + (7.5 * lineSpacing),  // Space below third ledger
-
-            'rest': staffY + (3 * lineSpacing)   // Rest appears on middle line
-        };
-        return notePositions[this.pitch] || staffY + 25;
-    }
-}
-
-// Pattern Generator
-class PatternGenerator {
-    constructor(eventBus) {
-        this.eventBus = eventBus;
-        this.patterns = [
-            // All open strings
-            [
-                { pitch: 'E5', fret: 0, string: 1 },  // 1st string open (high E)
-                { pitch: 'B4', fret: 0, string: 2 },  // 2nd string open (B)
-                { pitch: 'G4', fret: 0, string: 3 },  // 3rd string open (G)
-                { pitch: 'D4', fret: 0, string: 4 },  // 4th string open (D)
-                { pitch: 'A3', fret: 0, string: 5 },  // 5th string open (A)
-                { pitch: 'E3', fret: 0, string: 6 }   // 6th string open (low E)
-            ],
-            // C chord (first position)
-            [
-                { pitch: 'E5', fret: 0, string: 1 },  // 1st string open (sounds E4)
-                { pitch: 'C5', fret: 1, string: 2 },  // 2nd string fret 1 (sounds C4)
-                { pitch: 'G4', fret: 0, string: 3 },  // 3rd string open (sounds G3)
-                { pitch: 'E4', fret: 2, string: 4 },  // 4th string fret 2 (sounds E3)
-                { pitch: 'C4', fret: 3, string: 5 }   // 5th string fret 3 (sounds C3)
-            ],
-            // G chord (first position)
-            [
-                { pitch: 'G5', fret: 3, string: 1 },  // 1st string fret 3 (sounds G4)
-                { pitch: 'B4', fret: 0, string: 2 },  // 2nd string open (sounds B3)
-                { pitch: 'G4', fret: 0, string: 3 },  // 3rd string open (sounds G3)
-                { pitch: 'D4', fret: 0, string: 4 },  // 4th string open (sounds D3)
-                { pitch: 'G3', fret: 3, string: 6 }   // 6th string fret 3 (sounds G2)
-            ],
-            // First position scale fragment
-            [
-                { pitch: 'E5', fret: 0, string: 1 },  // 1st string open (sounds E4)
-                { pitch: 'F5', fret: 1, string: 1 },  // 1st string fret 1 (sounds F4)
-                { pitch: 'G5', fret: 3, string: 1 },  // 1st string fret 3 (sounds G4)
-                { pitch: 'B4', fret: 0, string: 2 },  // 2nd string open (sounds B3)
-                { pitch: 'C5', fret: 1, string: 2 }   // 2nd string fret 1 (sounds C4)
-            ]
-        ];
-    }
-
-    generateNewPattern() {
-        const pattern = random(this.patterns);
-        this.eventBus.emit('patternGenerated', pattern);
-    }
-}
-
-// Player class
-class Player {
-    constructor(eventBus, audioEngine) {
-        this.eventBus = eventBus;
-        this.audioEngine = audioEngine;
-        this.isPlaying = false;
-        this.playPosition = 0;
-        this.notes = [];
-        this.tempo = 100;
-        this.noteSpeed = 1;
-
-        this.eventBus.on('patternGenerated', (pattern) => {
-            this.loadPattern(pattern);
+    });
+
+    document.getElementById('playBtn').onclick = () => shortcuts.trigger('play');
+    document.getElementById('pauseBtn').onclick = () => shortcuts.trigger('pause');
+    document.getElementById('replayBtn').onclick = () => shortcuts.trigger('replay');
+    document.getElementById('generateBtn').onclick = () => shortcuts.trigger('newPattern');
+    document.getElementById('undoBtn').onclick = () => shortcuts.trigger('undo');
+    document.getElementById('redoBtn').onclick = () => shortcuts.trigger('redo');
+
+    document.getElementById('modeSelect').onchange = (e) => setAppMode(e.target.value);
+
+    const readQuizSettings = () => {
+        const strings = [...document.querySelectorAll('.quizStringToggle:checked')].map(box => parseInt(box.value));
+        const minFret = constrain(parseInt(document.getElementById('quizMinFret').value) || 0, 0, MAX_FRET);
+        const maxFret = constrain(parseInt(document.getElementById('quizMaxFret').value) || 0, 0, MAX_FRET);
+        eventBus.emit('quizSettingsChanged', {
+            type: document.getElementById('quizTypeSelect').value,
+            strings: strings.length > 0 ? strings : [1, 2, 3, 4, 5, 6],
+            minFret: Math.min(minFret, maxFret),
+            maxFret: Math.max(minFret, maxFret),
+            timeLimit: constrain(parseInt(document.getElementById('quizTimeInput').value) || 5, 2, 30)
         });
+    };
+    document.querySelectorAll('#quizSettings input, #quizSettings select').forEach(input => {
+        input.onchange = readQuizSettings;
+    });
+    readQuizSettings();
+
+    document.getElementById('quizStartBtn').onclick = () => {
+        setAppMode('quiz');
+        readQuizSettings();
+        noteQuiz.start();
+    };
 
-        this.eventBus.on('tempoChanged', (tempo) => {
-            this.tempo = tempo;
-            // One beat (quarter note) should move 60 pixels at the given tempo
-            this.noteSpeed = (tempo / 60) * 1;  // pixels per frame at 60fps
+    // The editor offers the same keys and meters as the generator
+    document.getElementById('editorKey').innerHTML = document.getElementById('keySelect').innerHTML;
+    document.getElementById('editorTime').innerHTML = document.getElementById('timeSignatureSelect').innerHTML;
+    const readEditorSettings = () => {
+        eventBus.emit('editorSettingsChanged', {
+            name: document.getElementById('editorName').value,
+            key: document.getElementById('editorKey').value,
+            timeSignature: parseTimeSignature(document.getElementById('editorTime').value),
+            duration: document.getElementById('editorDuration').value,
+            chord: document.getElementById('editorChord').checked
         });
-    }
+    };
+    document.querySelectorAll('#editorControls input, #editorControls select').forEach(input => {
+        input.oninput = readEditorSettings;
+        input.onchange = readEditorSettings;
+    });
+    readEditorSettings();
+
+    // Markings toggle on the last note entered; the list goes back to its prompt
+    document.getElementById('editorMarking').onchange = (e) => {
+        patternEditor.markLast(e.target.value);
+        e.target.value = '';
+    };
 
-    loadPattern(pattern) {
-        this.currentPattern = pattern;  // Store the current pattern for replay
-        this.notes = [];
-        this.playPosition = 0;
-        // Calculate spacing based on tempo and display
-        let spacing = 60;  // Pixels between notes
-        let leadInBeats = 4;  // Number of beats before first note
-        let startX = 200 + (leadInBeats * spacing); // Start 4 beats ahead of play line
-
-        pattern.forEach((noteData, i) => {
-            let note = new Note(
-                noteData.pitch,
-                noteData.fret,
-                noteData.string,
-                startX + i * spacing
-            );
-            this.notes.push(note);
-        });
-    }
+    document.getElementById('editorRestBtn').onclick = () => patternEditor.addRest();
+    document.getElementById('editorUndoBtn').onclick = () => patternEditor.removeLast();
+    document.getElementById('editorClearBtn').onclick = () => patternEditor.clear();
 
-    play() {
-        this.isPlaying = true;
-        this.eventBus.emit('playStateChanged', true);
-    }
+    document.getElementById('editorPreviewBtn').onclick = () => {
+        if (patternEditor.notes.length === 0) return;
+        executeCommand(new LoadPatternCommand(eventBus, player, patternEditor.getPattern()));
+        setAppMode('scroll');
+        executeCommand(new PlayCommand(player));
+    };
 
-    pause() {
-        this.isPlaying = false;
-        this.eventBus.emit('playStateChanged', false);
-    }
+    document.getElementById('editorSaveBtn').onclick = () => {
+        const pattern = patternEditor.getPattern();
+        if (patternLibrary.find(pattern.name) && !confirm(`Replace the saved exercise "${pattern.name}"?`)) return;
+        const errors = patternLibrary.add(pattern);
+        showImportReport(errors.length > 0 ? `Could not save "${pattern.name}"` : `Saved "${pattern.name}"`, errors);
+    };
 
-    setPosition(pos) {
-        this.playPosition = pos;
-        // Reset all notes to their original positions and state
-        this.loadPattern(this.currentPattern);
-    }
+    document.getElementById('libraryPlayBtn').onclick = () => {
+        const pattern = patternLibrary.find(document.getElementById('librarySelect').value);
+        if (!pattern) return;
+        executeCommand(new LoadPatternCommand(eventBus, player, patternGenerator.fingerPattern(pattern)));
+        setAppMode('scroll');
+    };
 
-    update() {
-        if (!this.isPlaying) return;
-
-        this.notes.forEach(note => {
-            note.update(this.noteSpeed);
-
-            // Check if note is exactly at play line to prevent multiple triggers
-            if (Math.abs(note.x - 200) < 2 && !note.played) {
-                note.active = true;
-                // Reset all previously played notes when first note is hit
-                if (this.notes.every(n => !n.played)) {
-                    this.eventBus.emit('playbackStarted');
-                }
-                // Play the note with tempo-based duration
-                let noteDuration = 60 / this.tempo; // Quarter note duration in seconds
-
-                // Add a slight delay to ensure clean playback
-                Tone.Draw.schedule(() => {
-                    this.audioEngine.playNote(note.pitch, noteDuration);
-                }, '+0.001');
-
-                setTimeout(() => {
-                    note.active = false;
-                    note.played = true;
-                }, noteDuration * 1000);
-            }
-        });
-    }
+    document.getElementById('libraryEditBtn').onclick = () => {
+        const pattern = patternLibrary.find(document.getElementById('librarySelect').value);
+        if (!pattern) return;
+        patternEditor.load(pattern);
+        document.getElementById('editorName').value = patternEditor.name;
+        document.getElementById('editorKey').value = patternEditor.key;
+        document.getElementById('editorTime').value = patternEditor.timeSignature.join('/');
+        setAppMode('edit');
+    };
 
-    draw() {
-        // Draw staff lines
-        stroke(100);
-        strokeWeight(1);
-        for (let i = 0; i < 5; i++) {
-            let y = 130 + i * 10;
-            line(0, y, width, y);
+    document.getElementById('libraryDeleteBtn').onclick = () => {
+        const name = document.getElementById('librarySelect').value;
+        if (name && confirm(`Delete the saved exercise "${name}"?`)) {
+            patternLibrary.remove(name);
         }
+    };
 
-        // Draw play line
-        stroke(255, 100, 100);
-        strokeWeight(3);
-        line(200, 100, 200, 200);
-
-        // Draw notes
-        this.notes.forEach(note => note.draw());
-    }
-}
-
-// Fretboard Visualizer
-class FretboardVisualizer {
-    constructor(eventBus) {
-        this.eventBus = eventBus;
-        this.activeFrets = new Set();
-
-        this.eventBus.on('noteActivated', (noteData) => {
-            this.activeFrets.add(`${noteData.string}-${noteData.fret}`);
-            setTimeout(() => {
-                this.activeFrets.delete(`${noteData.string}-${noteData.fret}`);
-            }, 500);
-        });
-    }
-
-    draw() {
-        push();
-        translate(50, 250);
+    document.getElementById('libraryExportBtn').onclick = () => {
+        downloadFile('exercises.json', patternLibrary.toJson(), 'application/json');
+    };
 
-        // Draw fretboard
-        fill(139, 69, 19); // Brown
-        rect(0, 0, 300, 120);
+    document.getElementById('libraryImportBtn').onclick = () => {
+        document.getElementById('libraryImportFile').click();
+    };
 
-        // Draw frets
-        stroke(200);
-        strokeWeight(2);
-        for (let i = 1; i <= 12; i++) {
-            let x = i * 25;
-            line(x, 0, x, 120);
+    document.getElementById('libraryImportFile').onchange = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';  // Allow re-importing the same file
+        if (!file) return;
+        try {
+            const { added, errors } = patternLibrary.importJson(await file.text());
+            showImportReport(`Added ${added.length} exercise${added.length === 1 ? '' : 's'} to the library`, errors);
+        } catch (error) {
+            showImportReport(`Import failed: ${error.message}`, []);
         }
+    };
 
-        // Draw strings
-        for (let i = 0; i < 6; i++) {
-            let y = 10 + i * 20;
-            strokeWeight(1 + i * 0.3);
-            line(0, y, 300, y);
+    document.getElementById('curriculumToggle').onchange = (e) => {
+        curriculum.setEnabled(e.target.checked);
+        if (e.target.checked) {
+            generatePattern();
+        } else {
+            // Back to whatever the settings row shows
+            eventBus.emit('generatorSettingsChanged', readGeneratorSettings());
         }
-
-        // Draw position markers
-        fill(255);
-        noStroke();
-        [3, 5, 7, 9].forEach(fret => {
-            let x = fret * 25 - 12.5;
-            ellipse(x, 60, 8, 8);
-        });
-
-        // Double dots at 12th fret
-        ellipse(12 * 25 - 12.5, 40, 8, 8);
-        ellipse(12 * 25 - 12.5, 80, 8, 8);
-
-        // Highlight active frets
-        this.activeFrets.forEach(pos => {
-            let [string, fret] = pos.split('-').map(Number);
-            fill(255, 200, 100, 150);
-            noStroke();
-            ellipse(fret * 25 - 12.5, 10 + string * 20, 15, 15);
-        });
-
-        pop();
-    }
-}
-
-// Global variables
-let eventBus;
-let audioEngine;
-let player;
-let fretboard;
-let patternGenerator;
-let commandHistory = [];
-
-function setup() {
-    let canvas = createCanvas(800, 400);
-    canvas.parent('sketch-container');
-
-    // Initialize components
-    eventBus = new EventBus();
-    audioEngine = new AudioEngine();
-    player = new Player(eventBus, audioEngine);
-    fretboard = new FretboardVisualizer(eventBus);
-    patternGenerator = new PatternGenerator(eventBus);
-
-    // Setup controls
-    setupControls();
-
-    // Generate initial pattern
-    patternGenerator.generateNewPattern();
-}
-
-function setupControls() {
-    document.getElementById('playBtn').onclick = () => {
-        executeCommand(new PlayCommand(player));
     };
 
-    document.getElementById('pauseBtn').onclick = () => {
-        executeCommand(new PauseCommand(player));
+    document.getElementById('levelSelect').onchange = (e) => {
+        if (curriculum.selectLevel(parseInt(e.target.value))) {
+            generatePattern();
+        }
     };
 
-    document.getElementById('replayBtn').onclick = () => {
-        executeCommand(new ReplayCommand(player));
+    document.getElementById('clearLoopBtn').onclick = () => {
+        loopAnchorBar = null;
+        if (player.loop) {
+            executeCommand(new SetLoopCommand(player, null));
+        }
     };
 
-    document.getElementById('generateBtn').onclick = () => {
-        executeCommand(new GeneratePatternCommand(patternGenerator));
+    const readSpeedTrainer = () => {
+        const step = parseInt(document.getElementById('speedStepInput').value);
+        eventBus.emit('speedTrainerChanged', {
+            enabled: document.getElementById('speedTrainerToggle').checked,
+            step: Number.isNaN(step) ? 2 : constrain(step, 1, 20),
+            maxTempo: parseInt(document.getElementById('tempoSlider').max)
+        });
     };
+    document.getElementById('speedTrainerToggle').onchange = readSpeedTrainer;
+    document.getElementById('speedStepInput').onchange = readSpeedTrainer;
+    readSpeedTrainer();
 
     document.getElementById('audioToggle').onclick = async () => {
         const btn = document.getElementById('audioToggle');
@@ -596,39 +323,506 @@ function setupControls() {
         }
     };
 
+    document.getElementById('micToggle').onclick = async () => {
+        const btn = document.getElementById('micToggle');
+
+        if (!pitchListener.listening) {
+            btn.disabled = true;
+            btn.textContent = 'Starting...';
+            const success = await pitchListener.start();
+            if (success) {
+                btn.textContent = 'Mic: ON';
+                btn.style.background = '#0f6040';
+                eventBus.emit('gradingChanged', { source: 'microphone', enabled: true });
+            } else {
+                btn.textContent = 'Mic Failed';
+                btn.style.background = '#604040';
+            }
+            btn.disabled = false;
+        } else {
+            pitchListener.stop();
+            eventBus.emit('gradingChanged', { source: 'microphone', enabled: false });
+            btn.textContent = 'Mic: OFF';
+            btn.style.background = '#16213e';
+        }
+    };
+
+    document.getElementById('midiToggle').onclick = async () => {
+        const btn = document.getElementById('midiToggle');
+
+        if (!midiInput.enabled) {
+            btn.disabled = true;
+            const success = await midiInput.start();
+            if (success) {
+                btn.textContent = 'MIDI: ON';
+                btn.style.background = '#0f6040';
+                eventBus.emit('gradingChanged', { source: 'midi', enabled: true });
+            } else {
+                btn.textContent = 'MIDI Failed';
+                btn.style.background = '#604040';
+            }
+            btn.disabled = false;
+        } else {
+            midiInput.stop();
+            eventBus.emit('gradingChanged', { source: 'midi', enabled: false });
+            btn.textContent = 'MIDI: OFF';
+            btn.style.background = '#16213e';
+        }
+    };
+
+    document.getElementById('clearHistoryBtn').onclick = () => {
+        if (confirm('Delete all saved practice history?')) {
+            progressStore.clear();
+            eventBus.emit('historyUpdated', progressStore.sessions);
+            updateStatsPanel();
+        }
+    };
+
+    document.getElementById('importBtn').onclick = () => {
+        document.getElementById('importFile').click();
+    };
+
+    document.getElementById('importFile').onchange = (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';  // Allow re-importing the same file
+        if (!file) return;
+        importMusicXml(file);
+    };
+
+    document.getElementById('exportBtn').onclick = () => {
+        const xml = new MusicXmlExporter().export(player.currentPattern);
+        const name = (player.currentPattern.name || 'exercise').replace(/[^\w-]+/g, '_');
+        downloadFile(`${name}.musicxml`, xml, 'application/vnd.recordare.musicxml+xml');
+    };
+
+    document.getElementById('renderBtn').onclick = async () => {
+        const btn = document.getElementById('renderBtn');
+        const pattern = player.currentPattern;
+        btn.disabled = true;
+        btn.textContent = 'Rendering...';
+        try {
+            const rendered = await audioEngine.renderPattern(pattern, {
+                tempo: player.tempo,
+                metronome: document.getElementById('renderMetronomeToggle').checked,
+                partSettings: player.partSettings
+            });
+            const channels = [...Array(rendered.numberOfChannels).keys()].map(i => rendered.getChannelData(i));
+            const name = (pattern.name || 'exercise').replace(/[^\w-]+/g, '_');
+            downloadFile(`${name}.wav`, encodeWav(channels, rendered.sampleRate), 'audio/wav');
+        } catch (error) {
+            console.error('Rendering failed:', error);
+            showImportReport(`Rendering failed: ${error.message}`, []);
+        } finally {
+            btn.disabled = false;
+            btn.textContent = 'Download WAV';
+        }
+    };
+
+    document.getElementById('viewSelect').onchange = (e) => {
+        viewMode = e.target.value;
+        fitCanvas();
+    };
+
+    const zoomSelect = document.getElementById('zoomSelect');
+    zoomSelect.value = layout.zoom;
+    zoomSelect.onchange = (e) => {
+        layout.setZoom(parseFloat(e.target.value));
+        fitCanvas();
+    };
+
+    document.getElementById('musicStandBtn').onclick = () => setMusicStand(true);
+    document.getElementById('musicStandExitBtn').onclick = () => setMusicStand(false);
+    // Leaving full screen with Esc leaves the music stand too
+    document.addEventListener('fullscreenchange', () => {
+        if (!document.fullscreenElement && layout.standMode) {
+            setMusicStand(false);
+        }
+    });
+
+    // Retuning or moving the capo refingers the current pattern; fingerings that no longer play their pitch are redone
+    const changeTuning = () => {
+        const capoInput = document.getElementById('capoInput');
+        guitar.configure({
+            tuning: document.getElementById('tuningSelect').value,
+            capo: parseInt(capoInput.value) || 0
+        });
+        capoInput.value = guitar.capo;
+        if (player.currentPattern) {
+            eventBus.emit('patternGenerated', patternGenerator.fingerPattern(player.currentPattern));
+        }
+    };
+    document.getElementById('tuningSelect').onchange = changeTuning;
+    document.getElementById('capoInput').onchange = changeTuning;
+
+    document.getElementById('metronomeToggle').onclick = async () => {
+        const btn = document.getElementById('metronomeToggle');
+        if (audioEngine.metronomeEnabled) {
+            audioEngine.disableMetronome();
+            btn.textContent = 'Metronome: OFF';
+        } else {
+            await audioEngine.enableMetronome();
+            btn.textContent = 'Metronome: ON';
+        }
+    };
+
+    document.getElementById('subdivisionSelect').onchange = (e) => {
+        audioEngine.setMetronomeSubdivision(parseInt(e.target.value));
+    };
+
+    document.getElementById('metronomeVolume').oninput = (e) => {
+        audioEngine.setMetronomeVolume(parseInt(e.target.value));
+    };
+
+    document.getElementById('waitToggle').onchange = (e) => {
+        eventBus.emit('waitModeChanged', e.target.checked);
+    };
+
     document.getElementById('tempoSlider').oninput = (e) => {
         let tempo = e.target.value;
         document.getElementById('tempoValue').textContent = tempo;
         eventBus.emit('tempoChanged', parseInt(tempo));
     };
+
+    // The speed trainer changes the tempo too; keep the slider showing it
+    eventBus.on('tempoChanged', (tempo) => {
+        document.getElementById('tempoSlider').value = tempo;
+        document.getElementById('tempoValue').textContent = tempo;
+    });
+
+    // Any generator setting change produces a fresh exercise right away
+    document.querySelectorAll('#generatorSettings select, #generatorSettings input').forEach(input => {
+        input.onchange = () => {
+            eventBus.emit('generatorSettingsChanged', readGeneratorSettings());
+            generatePattern();
+        };
+    });
+}
+
+// Switch between scrolling sight-reading and the note quiz; the music stops while quizzing
+function setAppMode(mode) {
+    appMode = mode;
+    document.getElementById('modeSelect').value = mode;
+    document.getElementById('quizSettings').hidden = mode !== 'quiz';
+    document.getElementById('editorControls').hidden = mode !== 'edit';
+    patternEditor.active = mode === 'edit';
+    if (mode !== 'quiz') {
+        noteQuiz.stop();
+    }
+    if (mode !== 'scroll') {
+        executeCommand(new PauseCommand(player));
+    }
+    fitCanvas();
+}
+
+function readGeneratorSettings() {
+    const strings = [...document.querySelectorAll('.stringToggle:checked')].map(box => parseInt(box.value));
+    const length = parseInt(document.getElementById('lengthInput').value);
+    return {
+        source: document.getElementById('sourceSelect').value,
+        key: document.getElementById('keySelect').value,
+        position: document.getElementById('positionSelect').value,
+        difficulty: document.getElementById('difficultySelect').value,
+        timeSignature: document.getElementById('timeSignatureSelect').value,
+        rhythm: document.getElementById('rhythmSelect').value,
+        adaptive: document.getElementById('adaptiveToggle').checked,
+        length: Number.isNaN(length) ? 8 : constrain(length, 2, 32),
+        // An empty selection would leave nothing to play
+        strings: strings.length > 0 ? strings : [1, 2, 3, 4, 5, 6]
+    };
+}
+
+async function importMusicXml(file) {
+    if (file.name.toLowerCase().endsWith('.mxl')) {
+        showImportReport('Compressed .mxl files are not supported; export the score as uncompressed .musicxml', []);
+        return;
+    }
+    try {
+        const { pattern, warnings } = new MusicXmlImporter().parse(await file.text());
+        executeCommand(new LoadPatternCommand(eventBus, player, pattern));
+        showImportReport(`Imported "${pattern.name}" (${pattern.notes.length} notes)`, warnings);
+    } catch (error) {
+        console.error('MusicXML import failed:', error);
+        showImportReport(`Import failed: ${error.message}`, []);
+    }
+}
+
+function showImportReport(message, warnings) {
+    const report = document.getElementById('importReport');
+    report.innerHTML = '';
+    const summary = document.createElement('p');
+    summary.textContent = message;
+    report.appendChild(summary);
+    if (warnings.length > 0) {
+        const list = document.createElement('ul');
+        warnings.forEach(warning => {
+            const item = document.createElement('li');
+            item.textContent = warning;
+            list.appendChild(item);
+        });
+        report.appendChild(list);
+    }
+    report.hidden = false;
+}
+
+function downloadFile(filename, contents, type) {
+    const url = URL.createObjectURL(new Blob([contents], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+// Show the last pass, daily progress and the notes missed most often
+function updateStatsPanel() {
+    const summary = scoreKeeper.lastSummary;
+    const percent = (hits, attempts) => attempts > 0 ? `${Math.round(hits / attempts * 100)}%` : '-';
+
+    document.getElementById('lastPass').textContent = summary
+        ? `Last pass: ${percent(summary.hits, summary.total)} (${summary.correct} correct, ${summary.late} late, ` +
+        `${summary.wrong} wrong, ${summary.missed} missed), best streak ${summary.bestStreak}`
+        : 'Last pass: -';
+
+    const days = progressStore.getDailyProgress().slice(-7);
+    document.getElementById('dailyProgress').innerHTML = days.length > 0
+        ? days.map(d => `<li>${d.day}: ${percent(d.hits, d.notes)} over ${d.passes} passes</li>`).join('')
+        : '<li>No sessions yet</li>';
+
+    const breakdown = progressStore.getBreakdown();
+    // Only notes seen a few times give a meaningful miss rate
+    const weakest = Object.entries(breakdown.pitch)
+        .filter(([, entry]) => entry.attempts >= 3)
+        .sort(([, a], [, b]) => a.hits / a.attempts - b.hits / b.attempts)
+        .slice(0, 5);
+    document.getElementById('weakNotes').innerHTML = weakest.length > 0
+        ? weakest.map(([pitch, entry]) => `<li>${pitch}: ${percent(entry.hits, entry.attempts)} of ${entry.attempts}</li>`).join('')
+        : '<li>Not enough data yet</li>';
+
+    document.getElementById('stringAccuracy').innerHTML = Object.entries(breakdown.string)
+        .map(([string, entry]) => `<li>String ${string}: ${percent(entry.hits, entry.attempts)}</li>`)
+        .join('');
+
+    document.getElementById('fretAccuracy').innerHTML = Object.entries(breakdown.fret)
+        .sort(([a], [b]) => a - b)
+        .map(([fret, entry]) => `<li>Fret ${fret}: ${percent(entry.hits, entry.attempts)}</li>`)
+        .join('');
 }
 
 function executeCommand(command) {
-    command.execute();
-    commandHistory.push(command);
-    // Keep history manageable
-    if (commandHistory.length > 10) {
-        commandHistory.shift();
+    commandHistory.execute(command);
+    updateHistoryButtons();
+}
+
+// A fresh exercise, saying so when nothing fits the settings and a preset stands in
+function generatePattern() {
+    const command = new GeneratePatternCommand(patternGenerator, player);
+    executeCommand(command);
+    if (command.fallback) showImportReport(command.fallback, []);
+}
+
+// Level list, progress toward passing, and the generator settings the level has taken over
+function updateCurriculumControls() {
+    const { enabled, level, unlocked } = curriculum.state;
+    document.getElementById('curriculumToggle').checked = enabled;
+
+    const select = document.getElementById('levelSelect');
+    select.innerHTML = '';
+    curriculum.levels.forEach(({ name }, i) => {
+        const option = document.createElement('option');
+        option.value = i;
+        option.textContent = `${i + 1}. ${name}${i > unlocked ? ' (locked)' : ''}`;
+        option.disabled = i > unlocked;
+        select.appendChild(option);
+    });
+    select.value = level;
+    select.disabled = !enabled;
+
+    const current = curriculum.getLevel();
+    const progress = curriculum.getProgress();
+    document.getElementById('levelStatus').textContent = !enabled ? '' : progress.passed
+        ? 'Passed!'
+        : `${progress.passes}/${progress.needed} passes at ${current.tempo}+ BPM, ` +
+          `average ${Math.round(progress.average * 100)}% (need ${Math.round(current.pass.accuracy * 100)}%)`;
+
+    // The level decides the generator settings while the curriculum is on
+    document.querySelectorAll('#generatorSettings select, #generatorSettings input').forEach(input => {
+        input.disabled = enabled;
+    });
+    if (enabled) {
+        const settings = current.settings;
+        ['key', 'position', 'difficulty', 'rhythm'].forEach(name => {
+            document.getElementById(`${name}Select`).value = settings[name];
+        });
+        document.getElementById('sourceSelect').value = settings.source;
+        document.getElementById('timeSignatureSelect').value = settings.timeSignature;
+        document.getElementById('lengthInput').value = settings.length;
+        document.getElementById('adaptiveToggle').checked = settings.adaptive;
+        document.querySelectorAll('.stringToggle').forEach(box => {
+            box.checked = settings.strings.includes(parseInt(box.value));
+        });
+    }
+}
+
+// Mode, volume and pan for each duet part; the row is hidden for solo patterns
+function updateDuetControls(parts) {
+    const row = document.getElementById('duetControls');
+    row.innerHTML = '';
+    row.hidden = parts.length === 0;
+    const addLabelled = (group, text, element) => {
+        const label = document.createElement('label');
+        label.append(`${text} `, element);
+        group.appendChild(label);
+    };
+    const slider = (min, max, step, value) => Object.assign(document.createElement('input'), { type: 'range', min, max, step, value });
+
+    parts.forEach(({ name }) => {
+        const settings = player.partSettings[name];
+        const mode = document.createElement('select');
+        [['display', 'Show and play'], ['play', 'Play only'], ['mute', 'Mute']].forEach(([value, text]) => {
+            mode.appendChild(Object.assign(document.createElement('option'), { value, textContent: text }));
+        });
+        mode.value = settings.mode;
+        mode.onchange = () => eventBus.emit('partSettingsChanged', { name, mode: mode.value });
+
+        const volume = slider(-30, 6, 1, settings.volume);
+        volume.oninput = () => eventBus.emit('partSettingsChanged', { name, volume: parseFloat(volume.value) });
+        const pan = slider(-1, 1, 0.1, settings.pan);
+        pan.oninput = () => eventBus.emit('partSettingsChanged', { name, pan: parseFloat(pan.value) });
+
+        const group = document.createElement('span');
+        addLabelled(group, `${name}:`, mode);
+        addLabelled(group, 'Volume', volume);
+        addLabelled(group, 'Pan', pan);
+        row.appendChild(group);
+    });
+}
+
+function updateLibraryList(patterns) {
+    const select = document.getElementById('librarySelect');
+    select.innerHTML = '';
+    patterns.forEach(pattern => {
+        const option = document.createElement('option');
+        option.value = pattern.name;
+        option.textContent = pattern.name;
+        select.appendChild(option);
+    });
+    ['libraryPlayBtn', 'libraryEditBtn', 'libraryDeleteBtn', 'libraryExportBtn'].forEach(id => {
+        document.getElementById(id).disabled = patterns.length === 0;
+    });
+}
+
+function updateHistoryButtons() {
+    document.getElementById('undoBtn').disabled = !commandHistory.canUndo();
+    document.getElementById('redoBtn').disabled = !commandHistory.canRedo();
+}
+
+function keyPressed(event) {
+    // Browser shortcuts such as Ctrl+R keep working
+    if (event && (event.ctrlKey || event.metaKey || event.altKey)) return true;
+    // Leave typing and list navigation to the form field that has focus
+    const focused = document.activeElement;
+    if (focused && (focused.matches('select, textarea') ||
+        (focused.matches('input') && focused.type !== 'checkbox'))) {
+        return true;
+    }
+    if (appMode === 'edit' && keyCode === BACKSPACE) {
+        patternEditor.removeLast();
+        return false;
+    }
+    // Letters answer the quiz
+    if (appMode === 'quiz' && /^[a-g]$/i.test(key) && noteQuiz.answerName(key.toUpperCase())) {
+        return false;
+    }
+    // Transport and pattern shortcuts would play or replace the music behind the quiz or the editor
+    if (appMode !== 'scroll') return true;
+    // Returning false stops the browser acting on the key too, e.g. space scrolling or re-clicking a button
+    return !shortcuts.handleKey(key);
+}
+
+function mousePressed() {
+    // Positions in the design units of the band under the pointer
+    const staffPoint = layout.toBand('staff', mouseX, mouseY);
+    const tabPoint = layout.toBand('tab', mouseX, mouseY);
+    const fretboardPoint = layout.toBand('fretboard', mouseX, mouseY);
+    if (appMode === 'quiz' || appMode === 'edit') {
+        const staffHandler = appMode === 'quiz' ? quizView : patternEditor;
+        if (!(staffPoint && staffHandler.handleStaffClick(staffPoint.x, staffPoint.y)) && fretboardPoint) {
+            fretboard.handleClick(fretboardPoint.x, fretboardPoint.y);
+        }
+        return;
+    }
+    // Clicking a bar on the staff or tab seeks to it; shift-clicks mark out an A-B loop, first bar then last
+    const headerWidth = 100;
+    const musicPoint = staffPoint && staffPoint.y >= 100 && staffPoint.y <= 200 ? staffPoint : tabPoint;
+    if (musicPoint && musicPoint.x > headerWidth && player.notes.length > 0) {
+        const bar = player.getBarAt(musicPoint.x);
+        const measureBeats = getMeasureBeats(player.timeSignature);
+        if (keyIsDown(SHIFT)) {
+            const first = loopAnchorBar === null ? bar : Math.min(loopAnchorBar, bar);
+            const last = loopAnchorBar === null ? bar : Math.max(loopAnchorBar, bar);
+            loopAnchorBar = loopAnchorBar === null ? bar : null;
+            executeCommand(new SetLoopCommand(player, { start: first * measureBeats, end: (last + 1) * measureBeats }));
+        } else {
+            executeCommand(new SeekCommand(player, bar * measureBeats));
+        }
+        return;
+    }
+    if (fretboardPoint) {
+        fretboard.handleClick(fretboardPoint.x, fretboardPoint.y);
     }
 }
 
 function draw() {
     background(26, 26, 46);
 
-    // Update and draw player
+    // Listen before moving notes so input is judged against the current frame
+    pitchListener.update();
+
+    // Update and draw player; the layout leaves out the bands the view hides
     player.update();
-    player.draw();
+    if (appMode === 'quiz') {
+        noteQuiz.update();
+    }
+    layout.draw('staff', () => {
+        if (appMode === 'quiz') {
+            quizView.draw();
+        } else if (appMode === 'edit') {
+            patternEditor.draw();
+        } else {
+            player.draw();
+        }
+        if (appMode !== 'quiz') {
+            drawPassSummary(scoreKeeper.lastSummary);
+        }
+    });
+    player.getDisplayedParts().forEach((part, i) => {
+        layout.draw(`part${i}`, () => player.drawPart(part));
+    });
+    layout.draw('tab', () => {
+        tabRenderer.draw(player.notes, player.barLines, 230);
+    });
 
     // Draw fretboard
-    fretboard.draw();
+    layout.draw('fretboard', () => fretboard.draw());
 
-    // Draw title
-    fill(255);
-    textSize(16);
-    text("Classical Guitar Sight Training", 20, 30);
+    layout.draw('heading', () => {
+        drawHeardPitch(pitchListener);
+        noStroke();
+        fill(255);
+        textSize(16);
+        text("Classical Guitar Sight Training", 20, 30);
+    });
 
     // Instructions
-    textSize(12);
-    fill(200);
-    text("Notes flow from right to left. Watch the fretboard light up as notes cross the red play line.", 20, height - 20);
+    layout.draw('footer', () => {
+        noStroke();
+        fill(200);
+        textSize(12);
+        textAlign(LEFT, TOP);
+        text("Notes flow from right to left. Click a bar to jump to it; shift-click a first and last bar to loop them.",
+            20, 455, layout.width - 40, 35);
+    });
 }
+
+// p5 runs in global mode, which looks for these on window rather than in this module
+Object.assign(window, { setup, draw, windowResized, keyPressed, mousePressed });
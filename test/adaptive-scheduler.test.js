@@ -0,0 +1,62 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { AdaptiveScheduler } from '../core/index.js';
+
+// A session as the ScoreKeeper saves it, with every note graded correct unless listed in misses
+function session(notes, misses = []) {
+    return {
+        results: notes.map(([pitch, string, fret], i) => ({
+            pitch, string, fret, result: misses.includes(i) ? 'wrong' : 'correct'
+        }))
+    };
+}
+
+describe('AdaptiveScheduler', () => {
+    it('ranks a pitch that keeps being missed above ones played right', () => {
+        const scale = [['C4', 2, 1], ['D4', 2, 3], ['E4', 1, 0], ['F4', 1, 1], ['G4', 1, 3]];
+        const scheduler = new AdaptiveScheduler();
+        scheduler.buildFromHistory([session(scale, [3]), session(scale, [3]), session(scale, [3])]);
+        const weak = scheduler.getWeight({ pitch: 'F4', string: 1, fret: 1 });
+        ['C4', 'D4', 'E4', 'G4'].forEach(pitch => {
+            const [, string, fret] = scale.find(note => note[0] === pitch);
+            assert.ok(weak > scheduler.getWeight({ pitch, string, fret }), pitch);
+        });
+    });
+
+    it('ranks a location that keeps being missed above the same pitch elsewhere', () => {
+        // E4 open on the first string is right every time; on the second string at fret 5 it is not
+        const notes = [['E4', 1, 0], ['E4', 2, 5]];
+        const scheduler = new AdaptiveScheduler();
+        scheduler.buildFromHistory([session(notes, [1]), session(notes, [1]), session(notes, [1])]);
+        assert.ok(scheduler.getWeight({ pitch: 'E4', string: 2, fret: 5 }) >
+            scheduler.getWeight({ pitch: 'E4', string: 1, fret: 0 }));
+    });
+
+    it('ranks an interval that keeps being missed above steps played right', () => {
+        // The leap of a fifth up to G4 goes wrong; the step up to it from F4 doesn't
+        const notes = [['C4', 2, 1], ['G4', 1, 3], ['F4', 1, 1], ['G4', 1, 3]];
+        const scheduler = new AdaptiveScheduler();
+        scheduler.buildFromHistory([session(notes, [1]), session(notes, [1]), session(notes, [1])]);
+        const g4 = { pitch: 'G4', string: 1, fret: 3 };
+        assert.ok(scheduler.getWeight(g4, { pitch: 'C4' }) > scheduler.getWeight(g4, { pitch: 'F4' }));
+    });
+
+    it('gives the same weights for the same history', () => {
+        const notes = [['C4', 2, 1], ['D4', 2, 3], ['E4', 1, 0]];
+        const history = [session(notes, [1]), session(notes), session(notes, [0, 2])];
+        const first = new AdaptiveScheduler();
+        const second = new AdaptiveScheduler();
+        first.buildFromHistory(history);
+        second.buildFromHistory(history);
+        assert.deepEqual(first.items, second.items);
+        notes.forEach(([pitch, string, fret]) => {
+            assert.equal(first.getWeight({ pitch, string, fret }), second.getWeight({ pitch, string, fret }));
+        });
+    });
+
+    it('weighs notes it has never seen as neutral', () => {
+        const scheduler = new AdaptiveScheduler();
+        scheduler.buildFromHistory([]);
+        assert.equal(scheduler.getWeight({ pitch: 'A3', string: 3, fret: 2 }, { pitch: 'G3' }), 1);
+    });
+});
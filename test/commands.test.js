@@ -0,0 +1,44 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    EventBus, Player, ManualClock, PatternGenerator, CommandHistory, GeneratePatternCommand, SeekCommand,
+    ReplayCommand, SetLoopCommand
+} from '../core/index.js';
+
+function createSession() {
+    const eventBus = new EventBus();
+    const player = new Player(eventBus, { playNote() { }, playPartNote() { }, playBeat() { }, setPartMix() { } }, new ManualClock());
+    const generator = new PatternGenerator(eventBus, 1);
+    generator.generateNewPattern();
+    return { player, generator, history: new CommandHistory() };
+}
+
+describe('CommandHistory', () => {
+    it('undoes and redoes new patterns, bringing back the same exercises', () => {
+        const { player, generator, history } = createSession();
+        const first = player.currentPattern;
+        history.execute(new GeneratePatternCommand(generator, player));
+        const second = player.currentPattern;
+        assert.notDeepEqual(second, first);
+        assert.equal(history.undo(), true);
+        assert.deepEqual(player.currentPattern, first);
+        assert.equal(history.redo(), true);
+        assert.deepEqual(player.currentPattern, second);
+    });
+
+    it('keeps seeking, replaying and looping out of the history', () => {
+        const { player, generator, history } = createSession();
+        const first = player.currentPattern;
+        history.execute(new GeneratePatternCommand(generator, player));
+        history.undo();
+        history.execute(new SetLoopCommand(player, { start: 0, end: 4 }));
+        history.execute(new SeekCommand(player, 2));
+        history.execute(new ReplayCommand(player));
+        assert.equal(player.getPosition(), 0);
+        assert.deepEqual(player.loop, { start: 0, end: 4 });
+        // The exercise undone before moving about can still be redone, and undo has nothing else on it
+        assert.equal(history.canUndo(), false);
+        assert.equal(history.redo(), true);
+        assert.notDeepEqual(player.currentPattern, first);
+    });
+});
@@ -0,0 +1,81 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    EventBus, Curriculum, PatternGenerator, Player, ManualClock, CommandHistory, GeneratePatternCommand
+} from '../core/index.js';
+import { createStorage } from './helpers.js';
+
+describe('Curriculum', () => {
+    it('unlocks the next level after enough good passes at the level tempo', () => {
+        const eventBus = new EventBus();
+        const storage = createStorage();
+        const unlocked = [];
+        eventBus.on('levelUnlocked', ({ level }) => unlocked.push(level));
+        const curriculum = new Curriculum(eventBus, storage);
+        const generator = new PatternGenerator(eventBus, 1);
+        curriculum.setEnabled(true);
+        generator.generateNewPattern();
+        assert.equal(curriculum.tempo, curriculum.getLevel().tempo);
+        [0.95, 0.9, 0.92].forEach(accuracy => eventBus.emit('passCompleted', { accuracy }));
+        assert.deepEqual(unlocked, [1]);
+        assert.equal(new Curriculum(new EventBus(), storage).state.level, 1);
+    });
+
+    it('does not count passes played slower than the level asks', () => {
+        const eventBus = new EventBus();
+        const curriculum = new Curriculum(eventBus, createStorage());
+        const generator = new PatternGenerator(eventBus, 1);
+        curriculum.setEnabled(true);
+        generator.generateNewPattern();
+        eventBus.emit('tempoChanged', curriculum.getLevel().tempo - 10);
+        eventBus.emit('passCompleted', { accuracy: 1 });
+        assert.equal(curriculum.getProgress().passes, 0);
+    });
+
+    it('only counts passes over the level\'s lesson', () => {
+        const eventBus = new EventBus();
+        const curriculum = new Curriculum(eventBus, createStorage());
+        const generator = new PatternGenerator(eventBus, 1);
+        curriculum.setEnabled(true);
+
+        // Nothing generated for the level yet
+        eventBus.emit('passCompleted', { accuracy: 1 });
+        assert.equal(curriculum.getProgress().passes, 0);
+
+        generator.generateNewPattern();
+        eventBus.emit('passCompleted', { accuracy: 1 });
+        assert.equal(curriculum.getProgress().passes, 1);
+
+        // An imported or library piece takes the lesson's place
+        eventBus.emit('patternGenerated', generator.patterns[0]);
+        eventBus.emit('passCompleted', { accuracy: 1 });
+        assert.equal(curriculum.getProgress().passes, 1);
+
+        // So does an exercise made from other settings
+        eventBus.emit('generatorSettingsChanged', { key: 'G' });
+        generator.generateNewPattern();
+        eventBus.emit('passCompleted', { accuracy: 1 });
+        assert.equal(curriculum.getProgress().passes, 1);
+    });
+
+    it('still counts the lesson when it comes back after a redo or a change of tuning', () => {
+        const eventBus = new EventBus();
+        const curriculum = new Curriculum(eventBus, createStorage());
+        const player = new Player(eventBus, { playNote() { }, playPartNote() { }, playBeat() { }, setPartMix() { } }, new ManualClock());
+        const generator = new PatternGenerator(eventBus, 1);
+        const history = new CommandHistory();
+        curriculum.setEnabled(true);
+
+        history.execute(new GeneratePatternCommand(generator, player));
+        eventBus.emit('patternGenerated', generator.patterns[0]);
+        history.undo();
+        history.redo();
+        eventBus.emit('passCompleted', { accuracy: 1 });
+        assert.equal(curriculum.getProgress().passes, 1);
+
+        // A capo or tuning change refingers the pattern being played
+        eventBus.emit('patternGenerated', generator.fingerPattern(player.currentPattern));
+        eventBus.emit('passCompleted', { accuracy: 1 });
+        assert.equal(curriculum.getProgress().passes, 2);
+    });
+});
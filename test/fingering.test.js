@@ -0,0 +1,65 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { FingeringSolver, POSITIONS } from '../core/index.js';
+
+const line = (...pitches) => pitches.map(pitch => ({ pitch, duration: '4n' }));
+const places = (notes) => notes.map(({ string, fret }) => [string, fret]);
+
+describe('FingeringSolver', () => {
+    const solver = new FingeringSolver();
+
+    it('keeps to the open strings and low frets when no range is given', () => {
+        assert.deepEqual(places(solver.solve(line('E5', 'E3')).notes), [[1, 0], [6, 0]]);
+        assert.deepEqual(places(solver.solve(line('G5', 'A3')).notes), [[1, 3], [5, 0]]);
+        assert.deepEqual(places(solver.solve(line('C4', 'E4', 'G4', 'C5', 'E5')).notes),
+            [[5, 3], [4, 2], [3, 0], [2, 1], [1, 0]]);
+    });
+
+    it('goes up the neck only for notes that are not in first position', () => {
+        const { notes } = solver.solve(line('A5', 'B5', 'C6'));
+        assert.deepEqual(places(notes), [[1, 5], [1, 7], [1, 8]]);
+        assert.ok(notes.every(note => note.position === 5));
+    });
+
+    it('plays stopped notes within the requested position', () => {
+        const { notes } = solver.solve(line('A4', 'C5', 'D5', 'F5', 'G5'), POSITIONS.V);
+        notes.forEach(note => {
+            assert.ok(note.fret >= 5 && note.fret <= 8, `${note.pitch} at fret ${note.fret}`);
+            assert.equal(note.position, 5);
+            assert.equal(note.finger, note.fret - 4);
+        });
+    });
+
+    it('gives the same fingering every time', () => {
+        const notes = line('C4', 'G4', 'E5', 'D5', 'B4', 'F4', 'A3', 'G5');
+        assert.deepEqual(solver.solve(notes), solver.solve(notes));
+    });
+
+    it('keeps a string and fret that were given, when they play the pitch', () => {
+        const { notes } = solver.solve([{ pitch: 'E5', duration: '4n', string: 2, fret: 5 }, { pitch: 'B4', duration: '4n', string: 1, fret: 3 }]);
+        assert.deepEqual(places(notes), [[2, 5], [2, 0]]);
+    });
+
+    it('puts every note of a chord on its own string', () => {
+        const { notes } = solver.solve([
+            { pitch: 'C4', duration: '2n' },
+            { pitch: 'E4', duration: '2n', chord: true },
+            { pitch: 'G4', duration: '2n', chord: true },
+            { pitch: 'C5', duration: '2n', chord: true }
+        ]);
+        assert.deepEqual(places(notes), [[5, 3], [4, 2], [3, 0], [2, 1]]);
+    });
+
+    it('fingers tied continuations like the note they extend, and leaves rests alone', () => {
+        const { notes } = solver.solve([
+            { pitch: 'D5', duration: '4n', tie: true },
+            { pitch: 'D5', duration: '4n' },
+            { pitch: 'rest', duration: '4n' }
+        ]);
+        assert.deepEqual(places(notes), [[2, 3], [2, 3], [undefined, undefined]]);
+    });
+
+    it('reports pitches the guitar cannot play', () => {
+        assert.deepEqual(solver.solve(line('C3', 'E5')).unplayable, ['C3']);
+    });
+});
@@ -0,0 +1,141 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    EventBus, PatternGenerator, POSITIONS, KEYS, RHYTHM_LEVELS, guitar, pitchToMidi, buildScale, parsePitch,
+    getNoteOnsets, getMeasureBeats, durationToBeats
+} from '../core/index.js';
+
+const baseSettings = {
+    key: 'C',
+    position: 'I',
+    strings: [1, 2, 3, 4, 5, 6],
+    length: 8,
+    difficulty: 'easy',
+    timeSignature: '4/4',
+    rhythm: 'quarters',
+    adaptive: false
+};
+
+// Every combination of the settings that shape an exercise, a few seeds each
+function* exercises() {
+    for (const position of Object.keys(POSITIONS)) {
+        for (const key of Object.keys(KEYS)) {
+            for (const [timeSignature, rhythm] of [['4/4', 'quarters'], ['3/4', 'basic'], ['6/8', 'advanced']]) {
+                for (const seed of [1, 2, 3]) {
+                    const settings = { ...baseSettings, position, key, timeSignature, rhythm, difficulty: seed === 3 ? 'hard' : 'easy' };
+                    yield { settings, seed, pattern: new PatternGenerator(new EventBus(), seed).generateExercise(settings).pattern };
+                }
+            }
+        }
+    }
+}
+
+describe('PatternGenerator', () => {
+    it('makes the same exercise from the same seed', () => {
+        const settings = { ...baseSettings, rhythm: 'advanced', length: 16, difficulty: 'medium' };
+        const first = new PatternGenerator(new EventBus(), 42).generateExercise(settings).pattern;
+        const second = new PatternGenerator(new EventBus(), 42).generateExercise(settings).pattern;
+        const other = new PatternGenerator(new EventBus(), 43).generateExercise(settings).pattern;
+        assert.deepEqual(first, second);
+        assert.notDeepEqual(first, other);
+    });
+
+    it('keeps every note in the position, on its strings, where it sounds the written pitch', () => {
+        for (const { settings, seed, pattern } of exercises()) {
+            const { minFret, maxFret } = POSITIONS[settings.position];
+            pattern.notes.filter(note => note.pitch !== 'rest').forEach(({ pitch, string, fret }) => {
+                const where = `${settings.key} ${settings.position} seed ${seed}: ${pitch} on ${string}/${fret}`;
+                assert.ok(fret >= minFret && fret <= maxFret, where);
+                assert.ok(settings.strings.includes(string), where);
+                assert.equal(guitar.getWrittenMidi(string, fret), pitchToMidi(pitch), where);
+            });
+        }
+    });
+
+    it('uses only notes of the key', () => {
+        for (const { settings, pattern } of exercises()) {
+            const scale = buildScale(settings.key);
+            pattern.notes.filter(note => note.pitch !== 'rest').forEach(({ pitch }) => {
+                const { letter, alter } = parsePitch(pitch);
+                assert.ok(scale.some(step => step.letter === letter && step.alter === alter), `${pitch} in ${settings.key}`);
+            });
+        }
+    });
+
+    it('fills whole bars, tying notes over the bar lines instead of crossing them', () => {
+        for (const { settings, pattern } of exercises()) {
+            const measureBeats = getMeasureBeats(pattern.timeSignature);
+            const onsets = getNoteOnsets(pattern.notes);
+            pattern.notes.forEach((note, i) => {
+                const inBar = onsets[i] % measureBeats;
+                assert.ok(inBar + durationToBeats(note.duration) <= measureBeats + 1e-9, `${settings.timeSignature} note ${i}`);
+            });
+            const last = pattern.notes.length - 1;
+            const total = onsets[last] + durationToBeats(pattern.notes[last].duration);
+            assert.ok(Math.abs(total / measureBeats - Math.round(total / measureBeats)) < 1e-9, `${settings.timeSignature} ends mid-bar`);
+        }
+    });
+
+    it('plays as many notes as asked for, starting on the tonic', () => {
+        for (const { settings, pattern } of exercises()) {
+            const struck = pattern.notes.filter((note, i) => note.pitch !== 'rest' && !(i > 0 && pattern.notes[i - 1].tie));
+            assert.equal(struck.length, settings.length);
+            const tonic = buildScale(settings.key)[0];
+            // The open-string position only has the notes of the open strings to choose from
+            if (settings.position !== 'open') {
+                assert.equal(parsePitch(struck[0].pitch).letter, tonic.letter, `${settings.key} ${settings.position}`);
+            }
+        }
+    });
+
+    it('only uses the rhythm cells of the chosen level', () => {
+        const pattern = new PatternGenerator(new EventBus(), 5).generateExercise({ ...baseSettings, length: 12 }).pattern;
+        assert.ok(pattern.notes.every(note => note.duration === '4n'));
+        assert.equal(RHYTHM_LEVELS.quarters.restChance, 0);
+    });
+
+    it('says why when it falls back to a preset', () => {
+        const generator = new PatternGenerator(new EventBus(), 3);
+        // The open low E is not in B flat major
+        const { pattern, fallback } = generator.generateExercise({ ...baseSettings, key: 'Bb', position: 'open', strings: [6] });
+        assert.match(fallback, /No playable notes/);
+        assert.ok(generator.patterns.some(preset => preset.name === pattern.name));
+        assert.equal(generator.generateExercise(baseSettings).fallback, null);
+    });
+
+    it('leans adaptive exercises toward weak notes, the same way every time', () => {
+        // Three sessions over the C major scale where F4 always went wrong
+        const scale = [['C4', 2, 1], ['D4', 2, 3], ['E4', 1, 0], ['F4', 1, 1], ['G4', 1, 3], ['A3', 3, 2], ['B3', 2, 0]];
+        const results = scale.map(([pitch, string, fret]) => ({ pitch, string, fret, result: pitch === 'F4' ? 'wrong' : 'correct' }));
+        const history = [{ results }, { results }, { results }];
+        const settings = { ...baseSettings, length: 16, difficulty: 'medium' };
+        const generate = (seed, adaptive) => {
+            const eventBus = new EventBus();
+            const generator = new PatternGenerator(eventBus, seed);
+            eventBus.emit('historyUpdated', history);
+            return generator.generateExercise({ ...settings, adaptive }).pattern;
+        };
+        const countF4 = (pattern) => pattern.notes.filter(note => note.pitch === 'F4').length;
+
+        assert.deepEqual(generate(11, true), generate(11, true));
+        let adaptive = 0;
+        let plain = 0;
+        for (let seed = 1; seed <= 20; seed++) {
+            adaptive += countF4(generate(seed, true));
+            plain += countF4(generate(seed, false));
+        }
+        assert.ok(adaptive > plain * 2, `F4 came up ${adaptive} times adaptively, ${plain} times without`);
+    });
+
+    it('hands each new exercise to the event bus', () => {
+        const eventBus = new EventBus();
+        const generated = [];
+        eventBus.on('patternGenerated', (pattern) => generated.push(pattern));
+        const generator = new PatternGenerator(eventBus, 7);
+        generator.generateNewPattern();
+        eventBus.emit('generatorSettingsChanged', { source: 'presets' });
+        generator.generateNewPattern();
+        assert.equal(generated.length, 2);
+        assert.ok(generator.patterns.some(preset => preset.name === generated[1].name));
+    });
+});
@@ -0,0 +1,43 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { guitar, findLocations, MAX_CAPO } from '../core/index.js';
+
+describe('Guitar', () => {
+    afterEach(() => guitar.configure({ tuning: 'standard', capo: 0 }));
+
+    it('sounds an octave below the written pitch', () => {
+        assert.equal(guitar.toSounding('E3'), 'E2');
+        assert.equal(guitar.toSoundingMidi('A4'), 57);
+        assert.equal(guitar.toWrittenMidi(57), 69);
+    });
+
+    it('leaves rests alone', () => {
+        assert.equal(guitar.toSounding('rest'), 'rest');
+    });
+
+    it('raises the sounding pitch with the capo, and keeps frets counted from it', () => {
+        guitar.configure({ capo: 2 });
+        assert.equal(guitar.toSounding('E3'), 'F#2');
+        assert.equal(guitar.getMaxFret(), 17);
+        assert.equal(guitar.getSoundingMidi(6, 0), 42);
+    });
+
+    it('keeps the capo within reach and falls back to standard tuning', () => {
+        guitar.configure({ tuning: 'lute', capo: 12 });
+        assert.equal(guitar.tuning, 'standard');
+        assert.equal(guitar.capo, MAX_CAPO);
+    });
+
+    it('reads retuned strings at their new pitch', () => {
+        guitar.configure({ tuning: 'dropD' });
+        assert.equal(guitar.getOpenPitch(6), 'D3');
+        assert.deepEqual(findLocations('D3'), [{ string: 6, fret: 0 }]);
+    });
+
+    it('finds every place a pitch can be played within the frets asked for', () => {
+        assert.deepEqual(findLocations('E5'), [
+            { string: 1, fret: 0 }, { string: 2, fret: 5 }, { string: 3, fret: 9 }, { string: 4, fret: 14 }, { string: 5, fret: 19 }
+        ]);
+        assert.deepEqual(findLocations('E5', 4, 10), [{ string: 2, fret: 5 }, { string: 3, fret: 9 }]);
+    });
+});
@@ -0,0 +1,11 @@
+// Test Helpers
+// Stand-ins shared by the tests.
+
+// Web Storage kept in a Map
+export function createStorage(entries = {}) {
+    const items = new Map(Object.entries(entries));
+    return {
+        getItem: (key) => items.has(key) ? items.get(key) : null,
+        setItem: (key, value) => items.set(key, String(value))
+    };
+}
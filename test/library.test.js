@@ -0,0 +1,56 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventBus, PatternLibrary, ProgressStore } from '../core/index.js';
+import { createStorage } from './helpers.js';
+
+const exercise = (name) => ({ name, notes: [{ pitch: 'E5', duration: '4n' }] });
+
+describe('PatternLibrary', () => {
+    it('saves exercises that pass the schema and replaces them by name', () => {
+        const storage = createStorage();
+        const library = new PatternLibrary(new EventBus(), storage);
+        assert.deepEqual(library.add(exercise('Scale')), []);
+        assert.deepEqual(library.add({ ...exercise('Scale'), key: 'G' }), []);
+        assert.ok(library.add({ name: 'Broken', notes: [] }).length > 0);
+        assert.deepEqual(new PatternLibrary(new EventBus(), storage).patterns.map(({ name, key }) => [name, key]), [['Scale', 'G']]);
+    });
+
+    it('imports the valid exercises of a file and reports the others', () => {
+        const library = new PatternLibrary(new EventBus(), createStorage());
+        const { added, errors } = library.importJson(JSON.stringify({
+            format: JSON.parse(library.toJson()).format,
+            version: 1,
+            exercises: [exercise('One'), { name: 'Two', notes: [{ pitch: 'X', duration: '4n' }] }]
+        }));
+        assert.deepEqual(added, ['One']);
+        assert.deepEqual(errors, ['"Two".notes[0].pitch "X" is not valid']);
+        assert.throws(() => library.importJson('{'), /Not a valid JSON file/);
+    });
+
+    it('reports storage it cannot use and carries on in memory', () => {
+        const eventBus = new EventBus();
+        const failures = [];
+        eventBus.on('storageFailed', ({ message }) => failures.push(message));
+        const broken = { getItem: () => { throw new Error('denied'); }, setItem: () => { throw new Error('full'); } };
+        const library = new PatternLibrary(eventBus, broken);
+        assert.deepEqual(library.add(exercise('Kept')), []);
+        assert.deepEqual(library.patterns.map(({ name }) => name), ['Kept']);
+        assert.deepEqual(failures, ['Could not read the exercise library', 'Could not save the exercise library']);
+    });
+});
+
+describe('ProgressStore', () => {
+    it('keeps the latest sessions and sums them up per day', () => {
+        const store = new ProgressStore(new EventBus(), createStorage(), 'history', 2);
+        const session = (date, hits) => ({
+            date,
+            summary: { total: 4, hits },
+            results: [{ pitch: 'E5', string: 1, fret: 0, result: hits > 2 ? 'correct' : 'wrong' }]
+        });
+        store.addSession(session('2026-01-01T10:00:00Z', 1));
+        store.addSession(session('2026-01-02T10:00:00Z', 3));
+        store.addSession(session('2026-01-02T11:00:00Z', 4));
+        assert.deepEqual(store.getDailyProgress(), [{ day: '2026-01-02', notes: 8, hits: 7, passes: 2 }]);
+        assert.deepEqual(store.getBreakdown().pitch, { E5: { attempts: 2, hits: 2 } });
+    });
+});
@@ -0,0 +1,225 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DOMParser } from '@xmldom/xmldom';
+import { MusicXmlImporter, MusicXmlExporter, getNoteOnsets } from '../core/index.js';
+
+// Node has no DOMParser of its own
+const parseXml = (xmlText) => new DOMParser().parseFromString(xmlText, 'application/xml');
+
+// A one-part partwise score around the given measures
+function score(measures, { divisions = 1, time = [4, 4], fifths = 0 } = {}) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<score-partwise version="4.0">
+  <work><work-title>Test piece</work-title></work>
+  <part-list><score-part id="P1"><part-name>Guitar</part-name></score-part></part-list>
+  <part id="P1">
+    ${measures.map((body, i) => `<measure number="${i + 1}">${i === 0 ? `<attributes>
+      <divisions>${divisions}</divisions>
+      <key><fifths>${fifths}</fifths></key>
+      <time><beats>${time[0]}</beats><beat-type>${time[1]}</beat-type></time>
+      <clef><sign>G</sign><line>2</line></clef>
+    </attributes>` : ''}${body}</measure>`).join('\n    ')}
+  </part>
+</score-partwise>`;
+}
+
+// A pitched note, or a rest when step is null
+function note(step, octave, duration, type, extra = '') {
+    const pitch = step === null ? '<rest/>' : `<pitch><step>${step}</step><octave>${octave}</octave></pitch>`;
+    return `<note>${pitch}<duration>${duration}</duration>${extra}<type>${type}</type></note>`;
+}
+
+const importScore = (xml) => new MusicXmlImporter(parseXml).parse(xml);
+
+describe('MusicXmlImporter', () => {
+    it('reads the title, key, time and the fingering written in the score', () => {
+        const { pattern, warnings } = importScore(score([
+            note('F', 5, 3, 'half', '<voice>1</voice>').replace('<step>F</step>', '<step>F</step><alter>1</alter>')
+                .replace('</type>', '</type><dot/><notations><technical><string>1</string><fret>2</fret></technical></notations>')
+        ], { time: [3, 4], fifths: 1 }));
+        assert.equal(pattern.name, 'Test piece');
+        assert.equal(pattern.key, 'G');
+        assert.deepEqual(pattern.timeSignature, [3, 4]);
+        assert.equal(pattern.notes.length, 1);
+        const { pitch, duration, string, fret } = pattern.notes[0];
+        assert.deepEqual({ pitch, duration, string, fret }, { pitch: 'F#5', duration: '2n.', string: 1, fret: 2 });
+        assert.deepEqual(warnings, []);
+    });
+
+    it('works out a fingering where the score gives none', () => {
+        const { pattern } = importScore(score([note('E', 4, 4, 'whole')]));
+        assert.equal(pattern.notes[0].pitch, 'E4');
+        assert.ok(Number.isInteger(pattern.notes[0].string) && Number.isInteger(pattern.notes[0].fret));
+    });
+
+    it('fills out a pickup bar with rests so the bars after it start on the bar lines', () => {
+        const { pattern, warnings } = importScore(score([
+            note('E', 4, 1, 'quarter'),
+            note('A', 4, 3, 'half', '<dot/>'),
+            note('B', 4, 1, 'quarter') + note('C', 5, 2, 'half')
+        ], { time: [3, 4] }));
+        assert.deepEqual(pattern.notes.map(({ pitch, duration }) => `${pitch}:${duration}`),
+            ['rest:2n', 'E4:4n', 'A4:2n.', 'B4:4n', 'C5:2n']);
+        assert.deepEqual(getNoteOnsets(pattern.notes), [0, 2, 3, 6, 7]);
+        assert.deepEqual(warnings, ['The pickup bar was filled out with rests at the start']);
+    });
+
+    it('keeps two voices apart across <backup> and <forward>', () => {
+        const { pattern } = importScore(score([
+            note('E', 5, 4, 'whole', '<voice>1</voice>') +
+                '<backup><duration>4</duration></backup>' +
+                '<forward><duration>2</duration><voice>2</voice></forward>' +
+                note('A', 3, 2, 'half', '<voice>2</voice>'),
+            // The second voice is silent in the second bar
+            note('C', 5, 4, 'whole', '<voice>1</voice>'),
+            note('D', 5, 4, 'whole', '<voice>1</voice>') +
+                '<backup><duration>4</duration></backup>' +
+                note('G', 3, 4, 'whole', '<voice>2</voice>')
+        ]));
+        const upper = pattern.notes.filter(n => !n.voice).map(({ pitch, duration }) => `${pitch}:${duration}`);
+        const lower = pattern.notes.filter(n => n.voice === 2).map(({ pitch, duration }) => `${pitch}:${duration}`);
+        assert.deepEqual(upper, ['E5:1n', 'C5:1n', 'D5:1n']);
+        assert.deepEqual(lower, ['rest:2n', 'A3:2n', 'rest:1n', 'G3:1n']);
+    });
+
+    it('takes note lengths from <duration>, so bars after a tuplet stay on the bar lines', () => {
+        const triplet = '<time-modification><actual-notes>3</actual-notes><normal-notes>2</normal-notes></time-modification>';
+        const { pattern, warnings } = importScore(score([
+            note('C', 5, 2, 'eighth', triplet) + note('D', 5, 2, 'eighth', triplet) + note('E', 5, 2, 'eighth', triplet) +
+                note('F', 5, 18, 'half', '<dot/>'),
+            note('G', 5, 24, 'whole')
+        ], { divisions: 6 }));
+        const onsets = getNoteOnsets(pattern.notes);
+        assert.deepEqual(pattern.notes.map(({ pitch, duration }) => `${pitch}:${duration}`),
+            ['C5:16n', 'D5:8n', 'E5:16n', 'F5:2n.', 'G5:1n']);
+        assert.equal(onsets[3], 1);
+        assert.equal(onsets[4], 4);
+        assert.deepEqual(warnings, ['Tuplets were rounded to the nearest sixteenth notes (x3)']);
+    });
+
+    it('reports what it could not bring across', () => {
+        const { warnings } = importScore(score([
+            '<direction><direction-type><dynamics><p/></dynamics></direction-type></direction>' +
+                '<note><grace/><pitch><step>D</step><octave>5</octave></pitch><type>eighth</type></note>' +
+                note('C', 5, 2, 'half', '<voice>1</voice>').replace('</type>', '</type><notations><fermata/></notations>') +
+                note('C', 4, 2, 'half', '<voice>2</voice>') +
+                note('C', 3, 2, 'half', '<voice>3</voice>') +
+                note(null, null, 2, 'half', '<voice>1</voice>') +
+                '<barline location="right"><repeat direction="backward"/></barline>'
+        ]));
+        assert.deepEqual(warnings, [
+            'Directions (dynamics, tempo and text) were ignored',
+            'Grace notes were skipped',
+            'Notation <fermata> was ignored',
+            'Only two voices are supported; the others were skipped',
+            'Repeats and endings were not expanded'
+        ]);
+    });
+
+    it('rejects documents that are not partwise scores', () => {
+        const importer = new MusicXmlImporter(parseXml);
+        assert.throws(() => importer.parse('<score-timewise><part-list/></score-timewise>'), /Timewise/);
+        assert.throws(() => importer.parse('<html><body/></html>'), /Expected a <score-partwise>/);
+        assert.throws(() => importer.parse(score([])), /No notes/);
+    });
+
+    it('reads back what the exporter writes', () => {
+        const original = {
+            name: 'Round trip',
+            key: 'D',
+            timeSignature: [6, 8],
+            notes: [
+                { pitch: 'F#5', duration: '4n.', string: 1, fret: 2 },
+                { pitch: 'rest', duration: '8n' },
+                { pitch: 'A5', duration: '4n', string: 1, fret: 5, tie: true },
+                { pitch: 'A5', duration: '2n.', string: 1, fret: 5 }
+            ]
+        };
+        const { pattern } = importScore(new MusicXmlExporter().export(original));
+        assert.equal(pattern.key, 'D');
+        assert.deepEqual(pattern.timeSignature, [6, 8]);
+        assert.deepEqual(getNoteOnsets(pattern.notes), getNoteOnsets(original.notes));
+        assert.deepEqual(pattern.notes.map(({ pitch, string, fret }) => [pitch, string, fret]),
+            original.notes.map(({ pitch, string, fret }) => [pitch, string, fret]));
+    });
+});
+
+describe('MusicXmlExporter', () => {
+    it('writes the key, time and fingering of the first bar', () => {
+        const xml = new MusicXmlExporter().export({
+            name: 'Scale & arpeggio',
+            key: 'G',
+            timeSignature: [3, 4],
+            notes: [{ pitch: 'F#5', duration: '2n.', string: 1, fret: 2 }]
+        });
+        assert.match(xml, /<work-title>Scale &amp; arpeggio<\/work-title>/);
+        assert.match(xml, /<fifths>1<\/fifths><mode>major<\/mode>/);
+        assert.match(xml, /<beats>3<\/beats><beat-type>4<\/beat-type>/);
+        assert.match(xml, /<step>F<\/step><alter>1<\/alter><octave>5<\/octave><\/pitch><duration>12<\/duration>/);
+        assert.match(xml, /<technical><string>1<\/string><fret>2<\/fret><\/technical>/);
+        assert.equal(xml.match(/<measure /g).length, 1);
+    });
+
+    it('ties notes over bar lines and closes the last bar with rests', () => {
+        const xml = new MusicXmlExporter().export({
+            name: 'Tied',
+            timeSignature: [4, 4],
+            notes: [{ pitch: 'C5', duration: '2n' }, { pitch: 'E5', duration: '1n' }]
+        });
+        assert.equal(xml.match(/<measure /g).length, 2);
+        assert.equal(xml.match(/<tie type="start"\/>/g).length, 1);
+        assert.equal(xml.match(/<tie type="stop"\/>/g).length, 1);
+        assert.match(xml, /<note><rest\/><duration>8<\/duration><voice>1<\/voice><type>half<\/type><\/note>\s*<barline/);
+    });
+
+    it('writes dynamics, hairpins, slurs, articulations and techniques', () => {
+        const xml = new MusicXmlExporter().export({
+            name: 'Expressive',
+            notes: [
+                { pitch: 'C5', duration: '4n', dynamic: 'p', hairpin: 'cresc', slur: true },
+                { pitch: 'D5', duration: '4n', articulations: ['staccato', 'accent'] },
+                { pitch: 'E5', duration: '2n', dynamic: 'f', technique: 'harmonic' },
+                { pitch: 'E5', duration: '1n' }
+            ]
+        });
+        assert.match(xml, /<dynamics><p\/><\/dynamics>[\s\S]*<wedge type="crescendo"\/>[\s\S]*<step>C<\/step>/);
+        assert.match(xml, /<slur type="start"\/>[\s\S]*<step>D<\/step>[\s\S]*<slur type="stop"\/>/);
+        assert.match(xml, /<articulations><staccato\/><accent\/><\/articulations>/);
+        // The hairpin closes where the next dynamic comes
+        assert.match(xml, /<wedge type="stop"\/>[\s\S]*<dynamics><f\/><\/dynamics>[\s\S]*<words>harm\.<\/words>[\s\S]*<step>E<\/step>/);
+        // A technique is labelled once, but every note it holds over is a harmonic
+        assert.equal(xml.match(/<words>/g).length, 1);
+        assert.equal(xml.match(/<harmonic\/>/g).length, 2);
+    });
+
+    it('writes markings once on a note split over a bar line', () => {
+        const xml = new MusicXmlExporter().export({
+            name: 'Split',
+            notes: [{ pitch: 'C5', duration: '2n' }, { pitch: 'E5', duration: '1n', dynamic: 'mf', articulations: ['accent'] }]
+        });
+        assert.equal(xml.match(/<dynamics>/g).length, 1);
+        assert.equal(xml.match(/<accent\/>/g).length, 1);
+    });
+
+    it('writes each duet part as a part of its own, as long as the longest', () => {
+        const xml = new MusicXmlExporter().export({
+            name: 'Duet',
+            notes: [{ pitch: 'E5', duration: '1n' }],
+            parts: [{ name: 'Teacher & friend', notes: [{ pitch: 'E3', duration: '1n' }, { pitch: 'G3', duration: '1n' }] }]
+        });
+        assert.match(xml, /<score-part id="P1"><part-name>Guitar<\/part-name><\/score-part>\s*<score-part id="P2"><part-name>Teacher &amp; friend<\/part-name>/);
+        const [student, teacher] = xml.split('<part id=').slice(1);
+        assert.equal(student.match(/<measure /g).length, 2);
+        assert.equal(teacher.match(/<measure /g).length, 2);
+        assert.match(teacher, /<step>E<\/step><octave>3<\/octave>[\s\S]*<step>G<\/step><octave>3<\/octave>/);
+        assert.doesNotMatch(student, /<octave>3<\/octave>/);
+    });
+
+    it('writes the second voice after a backup in each bar', () => {
+        const xml = new MusicXmlExporter().export({
+            name: 'Two voices',
+            notes: [{ pitch: 'E5', duration: '1n' }, { pitch: 'E3', duration: '1n', voice: 2 }]
+        });
+        assert.match(xml, /<voice>1<\/voice>[\s\S]*<backup><duration>16<\/duration><\/backup>[\s\S]*<voice>2<\/voice>/);
+    });
+});
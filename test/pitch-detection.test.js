@@ -0,0 +1,166 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, readdirSync } from 'node:fs';
+import {
+    detectPitch, getRms, PitchTracker, frequencyToMidi, midiToPitch, pitchToMidi, guitar, TUNINGS, SeededRandom
+} from '../core/index.js';
+
+const SAMPLE_RATE = 44100;
+const BLOCK = 2048;  // The microphone listener's analyser size
+const HOP = 735;  // Samples between the listener's looks at 60 frames a second
+
+// A block of a plucked string: decaying harmonics, brightest at the fundamental, with a little noise
+function pluck(midi, { start = 0.05 } = {}) {
+    const frequency = 440 * 2 ** ((midi - 69) / 12);
+    const rng = new SeededRandom(midi);
+    const buffer = new Float32Array(BLOCK);
+    for (let i = 0; i < BLOCK; i++) {
+        const t = start + i / SAMPLE_RATE;
+        let sample = 0;
+        for (let harmonic = 1; harmonic <= 6; harmonic++) {
+            sample += Math.sin(2 * Math.PI * frequency * harmonic * t) * Math.exp(-t * harmonic * 2) / harmonic;
+        }
+        buffer[i] = 0.3 * sample + (rng.next() - 0.5) * 0.01;
+    }
+    return buffer;
+}
+
+// The guitar samples the sampler plays, named by the pitch they sound
+const SAMPLES = new URL('../samples/', import.meta.url);
+
+// A block of a 16-bit PCM WAV file, starting the given seconds in, with its channels mixed down
+function readWavBlock(file, seconds) {
+    const bytes = readFileSync(new URL(encodeURIComponent(file), SAMPLES));
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let format = null;
+    let data = null;
+    for (let offset = 12; offset + 8 <= view.byteLength;) {
+        const id = String.fromCharCode(...bytes.subarray(offset, offset + 4));
+        const size = view.getUint32(offset + 4, true);
+        if (id === 'fmt ') {
+            format = {
+                channels: view.getUint16(offset + 10, true),
+                sampleRate: view.getUint32(offset + 12, true),
+                bits: view.getUint16(offset + 22, true)
+            };
+        } else if (id === 'data') {
+            data = offset + 8;
+        }
+        offset += 8 + size + (size % 2);
+    }
+    assert.equal(format.bits, 16, `${file} is not 16-bit PCM`);
+    const start = data + Math.round(seconds * format.sampleRate) * 2 * format.channels;
+    const buffer = Float32Array.from({ length: BLOCK }, (_, i) => {
+        let sample = 0;
+        for (let channel = 0; channel < format.channels; channel++) {
+            sample += view.getInt16(start + (i * format.channels + channel) * 2, true);
+        }
+        return sample / format.channels / 32768;
+    });
+    return { buffer, sampleRate: format.sampleRate };
+}
+
+const heard = (buffer) => {
+    const result = detectPitch(buffer, SAMPLE_RATE);
+    return result && midiToPitch(Math.round(frequencyToMidi(result.frequency)));
+};
+
+describe('detectPitch', () => {
+    it('hears every open string of every tuning', () => {
+        Object.values(TUNINGS).forEach(({ name, strings }) => {
+            Object.values(strings).forEach(written => {
+                const sounding = guitar.toSounding(written);
+                assert.equal(heard(pluck(pitchToMidi(sounding))), sounding, `${name}: ${written}`);
+            });
+        });
+    });
+
+    it('hears fretted notes up to the top of the neck', () => {
+        ['C3', 'F#3', 'A#3', 'C#4', 'G4', 'B4', 'E5', 'A5', 'B5'].forEach(pitch => {
+            assert.equal(heard(pluck(pitchToMidi(pitch))), pitch);
+        });
+    });
+
+    it('is confident about a clean tone', () => {
+        assert.ok(detectPitch(pluck(pitchToMidi('A2')), SAMPLE_RATE).clarity > 0.9);
+    });
+
+    it('finds nothing in noise', () => {
+        const rng = new SeededRandom(1);
+        const noise = Float32Array.from({ length: BLOCK }, () => rng.next() - 0.5);
+        assert.equal(detectPitch(noise, SAMPLE_RATE), null);
+    });
+
+    it('hears the recorded guitar samples from the low E up', () => {
+        const files = readdirSync(SAMPLES).filter(file => file.endsWith('.wav'));
+        const playable = files.filter(file => pitchToMidi(file.slice(0, -4)) >= pitchToMidi('E2'));
+        assert.ok(playable.length > 30);
+        playable.forEach(file => {
+            // A tenth of a second in, past the attack
+            const { buffer, sampleRate } = readWavBlock(file, 0.1);
+            const result = detectPitch(buffer, sampleRate);
+            assert.ok(result, file);
+            assert.equal(midiToPitch(Math.round(frequencyToMidi(result.frequency))), file.slice(0, -4));
+        });
+    });
+
+    it('does not report pitches under the 70 Hz floor', () => {
+        assert.notEqual(heard(pluck(pitchToMidi('C2'))), 'C2');
+    });
+});
+
+describe('getRms', () => {
+    it('measures the level of a block', () => {
+        assert.equal(getRms(new Float32Array(BLOCK)), 0);
+        assert.ok(Math.abs(getRms(Float32Array.from({ length: BLOCK }, (_, i) => Math.sin(i / 10))) - Math.SQRT1_2) < 0.01);
+    });
+});
+
+// Plucked notes played one over another as they would ring, at { pitch, at } seconds
+function performance(notes, seconds) {
+    const rng = new SeededRandom(1);
+    const samples = new Float32Array(Math.round(seconds * SAMPLE_RATE));
+    notes.forEach(({ pitch, at }) => {
+        const frequency = 440 * 2 ** ((pitchToMidi(pitch) - 69) / 12);
+        for (let i = Math.round(at * SAMPLE_RATE); i < samples.length; i++) {
+            const t = i / SAMPLE_RATE - at;
+            let sample = 0;
+            for (let harmonic = 1; harmonic <= 6; harmonic++) {
+                sample += Math.sin(2 * Math.PI * frequency * harmonic * t) * Math.exp(-t * harmonic * 2) / harmonic;
+            }
+            samples[i] += 0.3 * sample * Math.min(1, t / 0.005);
+        }
+    });
+    return samples.map(sample => sample + (rng.next() - 0.5) * 0.002);
+}
+
+// What the tracker reports, block by block, over a performance
+const track = (samples) => {
+    const tracker = new PitchTracker();
+    const notes = [];
+    for (let end = BLOCK; end <= samples.length; end += HOP) {
+        const attack = tracker.update(samples.subarray(end - BLOCK, end), SAMPLE_RATE);
+        if (attack) notes.push(midiToPitch(attack.midi));
+    }
+    return notes;
+};
+
+describe('PitchTracker', () => {
+    it('reports a ringing note once', () => {
+        assert.deepEqual(track(performance([{ pitch: 'B3', at: 0.1 }], 2)), ['B3']);
+    });
+
+    it('reports each new pluck, not the note still ringing under it', () => {
+        const notes = [{ pitch: 'C4', at: 0.1 }, { pitch: 'D4', at: 0.6 }, { pitch: 'C4', at: 1.1 }];
+        assert.deepEqual(track(performance(notes, 1.6)), ['C4', 'D4', 'C4']);
+    });
+
+    it('reports a repeated pitch only when it is plucked again', () => {
+        const notes = [{ pitch: 'G3', at: 0.1 }, { pitch: 'G3', at: 0.6 }];
+        assert.deepEqual(track(performance(notes, 1.5)), ['G3', 'G3']);
+    });
+
+    it('hears nothing in silence', () => {
+        assert.deepEqual(track(performance([], 0.5)), []);
+    });
+});
@@ -0,0 +1,129 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventBus, Player, ManualClock, ScoreKeeper, guitar } from '../core/index.js';
+
+// A player on a manual clock, with an audio engine that only writes down what it was asked to play
+function createPlayer(pattern, tempo = 60) {
+    const eventBus = new EventBus();
+    const clock = new ManualClock();
+    const sounds = [];
+    const audioEngine = {
+        playNote: (pitch, duration, time) => sounds.push({ pitch, duration, time }),
+        playPartNote: (part, pitch, duration, time) => sounds.push({ part, pitch, duration, time }),
+        playBeat() { },
+        setPartMix() { }
+    };
+    const player = new Player(eventBus, audioEngine, clock);
+    eventBus.emit('tempoChanged', tempo);
+    player.loadPattern(pattern);
+    return { eventBus, clock, player, sounds };
+}
+
+async function start(player, clock) {
+    player.play();
+    await clock.unlock();
+}
+
+const scale = {
+    name: 'Scale',
+    notes: [
+        { pitch: 'C4', duration: '4n' },
+        { pitch: 'rest', duration: '4n' },
+        { pitch: 'E4', duration: '8n', tie: true },
+        { pitch: 'E4', duration: '8n' },
+        { pitch: 'F4', duration: '4n' }
+    ]
+};
+
+describe('Player', () => {
+    it('plays each note at sounding pitch after a one-bar lead-in, skipping rests and tied continuations', async () => {
+        const { clock, player, sounds } = createPlayer(scale);
+        await start(player, clock);
+        clock.advance(12);
+        assert.deepEqual(sounds.map(({ pitch, time }) => [pitch, time]), [['C3', 4], ['E3', 6], ['F3', 7]]);
+        assert.equal(sounds[1].duration, 1);  // Both tied eighths
+    });
+
+    it('sends the part notes of a duet to their part, unless the part is muted', async () => {
+        const duet = { ...scale, parts: [{ name: 'Teacher', notes: [{ pitch: 'rest', duration: '4n' }, { pitch: 'G4', duration: '2n' }] }] };
+        const { eventBus, clock, player, sounds } = createPlayer(duet);
+        await start(player, clock);
+        clock.advance(12);
+        assert.deepEqual(sounds.filter(sound => sound.part).map(({ part, pitch }) => [part, pitch]), [['Teacher', 'G3']]);
+
+        eventBus.emit('partSettingsChanged', { name: 'Teacher', mode: 'mute' });
+        player.setPosition(0);
+        sounds.length = 0;
+        await start(player, clock);
+        clock.advance(12);
+        assert.equal(sounds.filter(sound => sound.part).length, 0);
+    });
+
+    it('grades the notes answered in time and marks the others missed', async () => {
+        const { eventBus, clock, player } = createPlayer(scale);
+        const keeper = new ScoreKeeper(eventBus, { sessions: [], addSession(session) { this.sessions.push(session); } });
+        eventBus.emit('gradingChanged', { source: 'midi', enabled: true });
+        eventBus.on('noteActivated', ({ pitch }) => {
+            if (pitch !== 'F4') eventBus.emit('pitchDetected', { midi: guitar.toSoundingMidi(pitch), source: 'midi' });
+        });
+        await start(player, clock);
+        clock.advance(12);
+        assert.equal(keeper.lastSummary.correct, 2);
+        assert.equal(keeper.lastSummary.missed, 1);
+        assert.equal(keeper.store.sessions.length, 1);
+    });
+
+    it('holds each note in wait mode until it is played', async () => {
+        const { eventBus, clock, player } = createPlayer(scale);
+        eventBus.emit('waitModeChanged', true);
+        await start(player, clock);
+        clock.advance(12);
+        assert.equal(clock.getBeat(), 4);
+        assert.deepEqual(player.waitingNotes.map(note => note.pitch), ['C4']);
+
+        eventBus.emit('pitchDetected', { midi: guitar.toSoundingMidi('C4'), source: 'midi' });
+        assert.equal(player.notes[0].result, 'correct');
+        clock.advance(2.5);
+        assert.deepEqual(player.waitingNotes.map(note => note.pitch), ['E4']);
+    });
+
+    it('takes the right note played after a wrong one in wait mode', async () => {
+        const { eventBus, clock, player } = createPlayer(scale);
+        eventBus.emit('waitModeChanged', true);
+        await start(player, clock);
+        clock.advance(12);
+        eventBus.emit('pitchDetected', { midi: guitar.toSoundingMidi('D4'), source: 'microphone' });
+        eventBus.emit('pitchDetected', { midi: guitar.toSoundingMidi('C4'), source: 'microphone' });
+        assert.equal(player.notes[0].result, 'correct');
+    });
+
+    it('leaves the student\'s notes unplayed while the microphone grades them', async () => {
+        const duet = { ...scale, parts: [{ name: 'Teacher', notes: [{ pitch: 'G4', duration: '2n' }] }] };
+        const { eventBus, clock, player, sounds } = createPlayer(duet);
+        eventBus.emit('gradingChanged', { source: 'microphone', enabled: true });
+        await start(player, clock);
+        clock.advance(12);
+        assert.deepEqual(sounds.map(({ part, pitch }) => [part, pitch]), [['Teacher', 'G3']]);
+    });
+
+    it('goes round an A-B loop, raising the tempo each time with the speed trainer', async () => {
+        const { eventBus, clock, player } = createPlayer(scale);
+        eventBus.emit('speedTrainerChanged', { enabled: true, step: 5 });
+        player.setLoop({ start: 0, end: 4 });
+        await start(player, clock);
+        clock.advance(4 + 4 * 3);
+        assert.equal(player.tempo, 75);
+        assert.equal(clock.getBeat(), 4);
+    });
+
+    it('stops and reports when the clock cannot start', async () => {
+        const { eventBus, clock, player } = createPlayer(scale);
+        clock.unlock = () => Promise.reject(new Error('No audio'));
+        const failures = [];
+        eventBus.on('playbackFailed', (error) => failures.push(error.message));
+        player.play();
+        await new Promise(resolve => setTimeout(resolve, 0));
+        assert.equal(player.isPlaying, false);
+        assert.deepEqual(failures, ['No audio']);
+    });
+});
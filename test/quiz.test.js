@@ -0,0 +1,84 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventBus, NoteQuiz, guitar, parsePitch } from '../core/index.js';
+
+// A quiz on a clock the test moves by hand
+function createQuiz(settings = {}) {
+    const eventBus = new EventBus();
+    let time = 0;
+    const quiz = new NoteQuiz(eventBus, 1, () => time);
+    eventBus.emit('quizSettingsChanged', settings);
+    const questions = [];
+    eventBus.on('quizQuestionChanged', (question) => questions.push(question));
+    return { eventBus, quiz, questions, wait: (milliseconds) => { time += milliseconds; quiz.update(); } };
+}
+
+describe('NoteQuiz', () => {
+    it('asks for natural notes on the chosen strings and frets', () => {
+        const { quiz } = createQuiz({ strings: [1, 2], minFret: 0, maxFret: 3 });
+        const locations = quiz.getLocations();
+        assert.deepEqual(locations.map(({ pitch }) => pitch), ['E5', 'F5', 'G5', 'B4', 'C5', 'D5']);
+        assert.ok(locations.every(({ pitch }) => parsePitch(pitch).alter === 0));
+    });
+
+    it('scores quick right answers higher, with a bonus for a streak', () => {
+        const { quiz, wait } = createQuiz({ type: 'name', timeLimit: 5 });
+        quiz.start();
+        assert.equal(quiz.answerName(parsePitch(quiz.question.pitch).letter), true);
+        assert.equal(quiz.score, 100);
+        wait(700);
+        wait(2500);
+        assert.equal(quiz.answerName(parsePitch(quiz.question.pitch).letter), true);
+        assert.equal(quiz.score, 100 + 50 + 10);
+        assert.equal(quiz.streak, 2);
+    });
+
+    it('breaks the streak on a wrong answer and times out unanswered questions', () => {
+        const { eventBus, quiz, wait } = createQuiz({ type: 'name', timeLimit: 2 });
+        const answers = [];
+        eventBus.on('quizAnswered', (answer) => answers.push(answer));
+        quiz.start();
+        const wrong = parsePitch(quiz.question.pitch).letter === 'A' ? 'B' : 'A';
+        quiz.answerName(wrong);
+        assert.equal(quiz.streak, 0);
+        assert.match(quiz.feedback.message, /is wrong/);
+        wait(1600);
+        wait(2100);
+        assert.equal(quiz.feedback.correct, null);
+        assert.deepEqual(answers.map(({ correct }) => correct), [false, false]);
+        assert.equal(quiz.score, 0);
+    });
+
+    it('takes only right answers from the microphone in the locate quiz', () => {
+        const { eventBus, quiz } = createQuiz({ type: 'locate' });
+        quiz.start();
+        const midi = guitar.toSoundingMidi(quiz.question.pitch);
+        eventBus.emit('pitchDetected', { midi: midi + 1, source: 'microphone' });
+        assert.equal(quiz.feedback, null);
+        eventBus.emit('pitchDetected', { midi, source: 'microphone' });
+        assert.equal(quiz.feedback.correct, true);
+    });
+
+    it('announces each question and clears the last one when it stops', () => {
+        const { quiz, questions } = createQuiz({ type: 'reverse', length: 2 });
+        quiz.start();
+        assert.equal(quiz.answerName('C'), false);
+        assert.equal(quiz.answerPlacement(quiz.question.pitch), true);
+        quiz.stop();
+        assert.equal(questions.length, 2);
+        assert.equal(questions[1], null);
+    });
+
+    it('sums up the quiz after the last question', () => {
+        const { eventBus, quiz, wait } = createQuiz({ type: 'name', length: 2 });
+        let summary = null;
+        eventBus.on('quizFinished', (finished) => { summary = finished; });
+        quiz.start();
+        quiz.answerName(parsePitch(quiz.question.pitch).letter);
+        wait(700);
+        quiz.answerName(parsePitch(quiz.question.pitch).letter);
+        wait(700);
+        assert.deepEqual(summary, { score: 210, correct: 2, asked: 2, averageSeconds: 0 });
+        assert.equal(quiz.active, false);
+    });
+});
@@ -0,0 +1,194 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    buildRenderSchedule, encodeWav, detectPitch, getRms, frequencyToMidi, midiToPitch, pitchToMidi
+} from '../core/index.js';
+import { AudioEngine } from '../adapters/tone.js';
+
+const pattern = {
+    name: 'Render',
+    timeSignature: [4, 4],
+    notes: [
+        { pitch: 'C4', duration: '4n' },
+        { pitch: 'rest', duration: '4n' },
+        { pitch: 'E4', duration: '4n', tie: true },
+        { pitch: 'E4', duration: '4n', articulations: ['staccato'] }
+    ],
+    parts: [{ name: 'Teacher', notes: [{ pitch: 'rest', duration: '2n' }, { pitch: 'G4', duration: '2n' }] }]
+};
+
+describe('buildRenderSchedule', () => {
+    it('skips rests, joins tied notes and plays at sounding pitch', () => {
+        const { notes } = buildRenderSchedule(pattern, { tempo: 120 });
+        const student = notes.filter(note => note.part === null);
+        assert.deepEqual(student.map(({ pitch, time, duration }) => [pitch, time, duration]), [['C3', 0, 0.5], ['E3', 1, 1]]);
+    });
+
+    it('includes parts that are not muted', () => {
+        const played = buildRenderSchedule(pattern, { tempo: 120 }).notes.filter(note => note.part);
+        assert.deepEqual(played.map(({ part, pitch, time }) => [part, pitch, time]), [['Teacher', 'G3', 1]]);
+        const muted = buildRenderSchedule(pattern, { tempo: 120, partSettings: { Teacher: { mode: 'mute' } } });
+        assert.equal(muted.notes.filter(note => note.part).length, 0);
+    });
+
+    it('counts in for a bar with the metronome and clicks to the end of the last bar', () => {
+        const { notes, clicks } = buildRenderSchedule(pattern, { tempo: 120, metronome: true, subdivision: 2 });
+        assert.equal(notes[0].time, 2);
+        assert.equal(clicks.length, 16);
+        assert.deepEqual(clicks.slice(0, 3), [
+            { level: 'downbeat', time: 0 },
+            { level: 'subdivision', time: 0.25 },
+            { level: 'beat', time: 0.5 }
+        ]);
+        assert.deepEqual(clicks.filter(click => click.level === 'downbeat').map(click => click.time), [0, 2]);
+    });
+
+    it('lasts to the end of the last bar plus the tail', () => {
+        assert.equal(buildRenderSchedule(pattern, { tempo: 120 }).duration, 4);
+        assert.equal(buildRenderSchedule(pattern, { tempo: 60, metronome: true, tail: 0.5 }).duration, 8.5);
+        assert.equal(buildRenderSchedule({ ...pattern, notes: [{ pitch: 'C4', duration: '4n' }], parts: [] }, { tempo: 120, tail: 0 }).duration, 2);
+    });
+});
+
+describe('encodeWav', () => {
+    const wav = encodeWav([new Float32Array([0, 0.5, -1, 2]), new Float32Array([0.25, -0.5, 0, -2])], 44100);
+    const view = new DataView(wav);
+    const text = (offset, length) => String.fromCharCode(...new Uint8Array(wav, offset, length));
+
+    it('writes a 16-bit PCM header for the channels and rate', () => {
+        assert.equal(wav.byteLength, 44 + 4 * 2 * 2);
+        assert.equal(text(0, 4), 'RIFF');
+        assert.equal(view.getUint32(4, true), 36 + 16);
+        assert.equal(text(8, 8), 'WAVEfmt ');
+        assert.equal(view.getUint16(20, true), 1);
+        assert.equal(view.getUint16(22, true), 2);
+        assert.equal(view.getUint32(24, true), 44100);
+        assert.equal(view.getUint32(28, true), 44100 * 4);
+        assert.equal(view.getUint16(32, true), 4);
+        assert.equal(view.getUint16(34, true), 16);
+        assert.equal(text(36, 4), 'data');
+        assert.equal(view.getUint32(40, true), 16);
+    });
+
+    it('interleaves the channels and clips to full scale', () => {
+        const samples = [];
+        for (let offset = 44; offset < wav.byteLength; offset += 2) samples.push(view.getInt16(offset, true));
+        assert.deepEqual(samples, [0, 8191, 16383, -16384, -32768, 0, 32767, -32768]);
+    });
+});
+
+// Node has no Web Audio, so Tone.js can't render here. This stands in for the Tone global with just enough of
+// an offline context for renderPattern: each sampler note sounds as a sine at its pitch and velocity for its
+// length, and each metronome click as a burst of square wave.
+function createToneStub(sampleRate = 44100) {
+    let output = null;
+    const write = (frequency, start, seconds, level, wave = Math.sin) => {
+        const first = Math.round(start * sampleRate);
+        const last = Math.min(output.length, Math.round((start + seconds) * sampleRate));
+        for (let i = first; i < last; i++) {
+            output[i] += level * wave(2 * Math.PI * frequency * (i - first) / sampleRate);
+        }
+    };
+    const frequencyOf = (pitch) => 440 * 2 ** ((pitchToMidi(pitch) - 69) / 12);
+
+    class Node {
+        connect() { return this; }
+        toDestination() { return this; }
+    }
+    class Sampler extends Node {
+        triggerAttackRelease(pitch, duration, time, velocity = 1) {
+            write(frequencyOf(pitch), time, duration, 0.5 * velocity);
+        }
+    }
+    class Synth extends Node {
+        triggerAttackRelease(pitch, duration, time, velocity = 1) {
+            write(frequencyOf(pitch), time, duration, 0.5 * velocity, phase => Math.sign(Math.sin(phase)));
+        }
+    }
+    class Filter extends Node {
+        constructor() {
+            super();
+            this.frequency = { setValueAtTime() { } };
+        }
+    }
+    class Reverb extends Node {
+        constructor() {
+            super();
+            this.ready = Promise.resolve();
+        }
+    }
+
+    return {
+        Sampler, Synth, Filter, Reverb, Limiter: Node, Volume: Node, Channel: Node,
+        async Offline(callback, duration) {
+            output = new Float32Array(Math.ceil(duration * sampleRate));
+            await callback();
+            const samples = output;
+            output = null;
+            return {
+                get: () => ({ sampleRate, numberOfChannels: 1, length: samples.length, getChannelData: () => samples })
+            };
+        }
+    };
+}
+
+describe('AudioEngine.renderPattern', () => {
+    const render = async (options) => {
+        globalThis.Tone = createToneStub();
+        try {
+            const engine = new AudioEngine();
+            engine.samples = {};  // As if already loaded
+            return await engine.renderPattern(pattern, { tempo: 120, ...options });
+        } finally {
+            delete globalThis.Tone;
+        }
+    };
+    // A block of the render starting at the given seconds
+    const block = (rendered, seconds, length = 2048) => {
+        const start = Math.round(seconds * rendered.sampleRate);
+        return rendered.getChannelData(0).subarray(start, start + length);
+    };
+    const heard = (rendered, seconds) => {
+        const result = detectPitch(block(rendered, seconds), rendered.sampleRate);
+        return result && midiToPitch(Math.round(frequencyToMidi(result.frequency)));
+    };
+
+    it('renders each note at its time and sounding pitch, with silence for the rests', async () => {
+        const rendered = await render({ partSettings: { Teacher: { mode: 'mute' } } });
+        assert.equal(rendered.length, 4 * rendered.sampleRate);
+        assert.equal(heard(rendered, 0.1), 'C3');
+        // The rest, then the E held over its tie for two beats
+        assert.equal(getRms(block(rendered, 0.6)), 0);
+        assert.equal(heard(rendered, 1.1), 'E3');
+        assert.equal(heard(rendered, 1.6), 'E3');
+        assert.equal(getRms(block(rendered, 2.2)), 0);
+    });
+
+    it('mixes in the parts that are not muted', async () => {
+        const rendered = await render();
+        const muted = await render({ partSettings: { Teacher: { mode: 'mute' } } });
+        // Take the student away and the teacher's G is left, under the student's E
+        const mixed = rendered.getChannelData(0);
+        const teacher = muted.getChannelData(0).map((sample, i) => mixed[i] - sample);
+        const only = { sampleRate: rendered.sampleRate, getChannelData: () => teacher };
+        assert.equal(getRms(block(only, 0.1)), 0);
+        assert.equal(heard(only, 1.1), 'G3');
+    });
+
+    it('counts in with the metronome before the first note', async () => {
+        const rendered = await render({ metronome: true, partSettings: { Teacher: { mode: 'mute' } } });
+        assert.equal(rendered.length, 6 * rendered.sampleRate);
+        assert.ok(getRms(block(rendered, 0, 1000)) > 0.1);
+        assert.equal(getRms(block(rendered, 0.1, 1000)), 0);
+        assert.equal(heard(rendered, 2.1), 'C3');
+    });
+
+    it('encodes the rendered samples as they are', async () => {
+        const rendered = await render();
+        const samples = rendered.getChannelData(0);
+        const view = new DataView(encodeWav([samples], rendered.sampleRate));
+        for (let i = 0; i < samples.length; i += 997) {
+            assert.ok(Math.abs(view.getInt16(44 + i * 2, true) / 0x8000 - samples[i]) < 1e-4, `sample ${i}`);
+        }
+    });
+});
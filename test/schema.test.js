@@ -0,0 +1,39 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventBus, PatternGenerator, validateSchema, PATTERN_SCHEMA } from '../core/index.js';
+
+describe('validateSchema', () => {
+    it('accepts every preset exercise', () => {
+        new PatternGenerator(new EventBus(), 1).patterns.forEach(pattern => {
+            assert.deepEqual(validateSchema(pattern, PATTERN_SCHEMA), [], pattern.name);
+        });
+    });
+
+    it('names each problem with where it is', () => {
+        const errors = validateSchema({
+            name: '',
+            notes: [{ pitch: 'H4', duration: '4n' }, { pitch: 'C4', duration: '3n', string: 7 }],
+            parts: [{ name: 'Teacher', notes: [], pan: 2 }]
+        }, PATTERN_SCHEMA);
+        assert.deepEqual(errors, [
+            'exercise.name must not be empty',
+            'exercise.notes[0].pitch "H4" is not valid',
+            'exercise.notes[1].duration "3n" is not valid',
+            'exercise.notes[1].string should be at most 6',
+            'exercise.parts[0].notes needs at least 1 item',
+            'exercise.parts[0].pan should be at most 1'
+        ]);
+    });
+
+    it('says what type was expected, with the right article', () => {
+        assert.deepEqual(validateSchema([], PATTERN_SCHEMA), ['exercise should be an object']);
+        assert.deepEqual(validateSchema({ name: 'x', notes: 'C4' }, PATTERN_SCHEMA), ['exercise.notes should be an array']);
+        assert.deepEqual(validateSchema({ name: 'x', notes: [{ pitch: 'C4', duration: '4n', fret: 1.5 }] }, PATTERN_SCHEMA),
+            ['exercise.notes[0].fret should be a whole number']);
+    });
+
+    it('reports missing fields', () => {
+        assert.deepEqual(validateSchema({ notes: [{ pitch: 'C4' }] }, PATTERN_SCHEMA),
+            ['exercise is missing "name"', 'exercise.notes[0] is missing "duration"']);
+    });
+});